@@ -1,12 +1,13 @@
 /** @import { Dirent } from 'fs' */
 import { readFile, readdir, writeFile, rm, mkdir, cp, stat } from 'fs/promises';
 import { cpSync, existsSync } from 'fs';
-import { join, parse } from 'path';
+import { join, parse, relative, sep } from 'path';
 import { transform } from 'lightningcss';
 import { createHash } from 'crypto';
 import { rollup } from 'rollup';
 import { minify } from 'html-minifier-terser';
 import minify_xml from 'minify-xml';
+import { Resvg } from '@resvg/resvg-js';
 import rollup_config from '../../rollup.config.js';
 import { ROUTES } from './constants.js';
 
@@ -29,6 +30,8 @@ export default async function build(dir = ROUTES, dev = false) {
 
         await mkdir(join(process.cwd(), '.tmp'));
 
+        const theme = await read_theme(join(process.cwd(), 'src', dir));
+
         for (const file of await readdir(join(process.cwd(), 'src', dir), {
             recursive: true,
             withFileTypes: true
@@ -52,7 +55,9 @@ export default async function build(dir = ROUTES, dev = false) {
                 const minified = code
                     .replace(/(\r?\n)|\t|(\s+)/g, ' ')
                     .replace(/\s+/g, ' ')
-                    .replace(/([:;{},>+~]\s)|(\s[{}])/g, m => m.replace(/\s/g, ''));
+                    .replace(/([:;{},>+~]\s)|(\s[{}])/g, m =>
+                        m.replace(/\s/g, '')
+                    );
                 await writeFile(path, minified);
                 // const transformed = transform({
                 //     minify: true,
@@ -72,7 +77,13 @@ export default async function build(dir = ROUTES, dev = false) {
                 });
             }
             if (ext === '.html') {
-                const html = await readFile(path, 'utf-8');
+                const html = (await readFile(path, 'utf-8')).replace(
+                    '</head>',
+                    `<link rel="manifest" href="/manifest.webmanifest" />` +
+                        `<link rel="apple-touch-icon" href="/assets/icons/icon-192.png" />` +
+                        `<meta name="theme-color" content="${theme.fg}" />` +
+                        '</head>'
+                );
                 const minified = await minify(html, {
                     removeComments: true,
                     removeAttributeQuotes: true,
@@ -107,6 +118,14 @@ export default async function build(dir = ROUTES, dev = false) {
             }
         }
 
+        await write_web_manifest(
+            join(process.cwd(), 'src', dir),
+            join(process.cwd(), '.tmp'),
+            theme
+        );
+        // after everything else, so that it includes every file
+        await write_precache_manifest(join(process.cwd(), '.tmp'));
+
         if (existsSync(join(process.cwd(), 'src', 'netlify.toml'))) {
             cpSync(
                 join(process.cwd(), 'src', 'netlify.toml'),
@@ -124,6 +143,138 @@ export default async function build(dir = ROUTES, dev = false) {
     }
 }
 
+/**
+ * Reads the colors of the (default) dark theme from the `--dark-mode-*` variables in `app.css`.
+ * @param {string} src
+ */
+async function read_theme(src) {
+    const css = await readFile(join(src, 'app.css'), 'utf-8');
+    /** @param {string} name */
+    const variable = name => {
+        const match = css.match(new RegExp(`--dark-mode-${name}:\\s*([^;]+);`));
+        if (match === null) {
+            throw new Error(`\`--dark-mode-${name}\` is missing from app.css`);
+        }
+        return match[1].trim();
+    };
+    return {
+        bg: variable('bg'),
+        fg: variable('fg'),
+        alt_fg: variable('alt-fg')
+    };
+}
+
+/** The sizes of the app icon, and whether each is maskable. */
+const ICONS = [
+    { size: 192, maskable: false },
+    { size: 512, maskable: false },
+    { size: 512, maskable: true }
+];
+
+/**
+ * Rasterizes the app icon from the dog icon in `src/assets`,
+ * and writes the web app manifest to `dir`.
+ * @param {string} src
+ * @param {string} dir
+ * @param {Awaited<ReturnType<typeof read_theme>>} theme
+ */
+async function write_web_manifest(src, dir, theme) {
+    const svg = await readFile(join(src, 'assets', 'dog.svg'), 'utf-8');
+    const { width, height } = /** @type {{ width: string, height: string }} */ (
+        svg.match(/<svg[^>]*width="(?<width>\d+)"[^>]*height="(?<height>\d+)"/)
+            ?.groups
+    );
+    // the root's presentation attributes (e.g. `fill="none"`) have to be kept
+    const fill = svg.match(/<svg[^>]*fill="(?<fill>[^"]*)"/)?.groups?.fill;
+    const glyph = svg
+        .replace(/^[\s\S]*?<svg[^>]*>/, '')
+        .replace(/<\/svg>\s*$/, '');
+    await mkdir(join(dir, 'assets', 'icons'), { recursive: true });
+    const icons = [];
+    for (const { size, maskable } of ICONS) {
+        // maskable icons get cropped to a circle, so the glyph has to fit inside it
+        const scale =
+            (maskable ? 0.6 : 0.75) * (size / Math.max(+width, +height));
+        const icon = `<svg xmlns="http://www.w3.org/2000/svg" width="${size}" height="${size}">
+            <rect width="${size}" height="${size}" rx="${maskable ? 0 : size / 5}" fill="${theme.alt_fg}" />
+            <g fill="${fill ?? 'black'}" transform="translate(${(size - +width * scale) / 2} ${(size - +height * scale) / 2}) scale(${scale})">${glyph}</g>
+        </svg>`;
+        const name = `icon${maskable ? '-maskable' : ''}-${size}.png`;
+        await writeFile(
+            join(dir, 'assets', 'icons', name),
+            new Resvg(icon).render().asPng()
+        );
+        icons.push({
+            src: `/assets/icons/${name}`,
+            sizes: `${size}x${size}`,
+            type: 'image/png',
+            purpose: maskable ? 'maskable' : 'any'
+        });
+    }
+    const manifest = {
+        name: 'PawPal',
+        short_name: 'PawPal',
+        description:
+            "Keep track of your pets' health, medicines and reminders.",
+        start_url: '/',
+        scope: '/',
+        display: 'standalone',
+        background_color: theme.bg,
+        theme_color: theme.fg,
+        icons,
+        shortcuts: [
+            { name: 'New Pet', url: '/new-pet' },
+            { name: 'New Reminder', url: '/new-reminder' }
+        ]
+    };
+    await writeFile(
+        join(dir, 'manifest.webmanifest'),
+        JSON.stringify(manifest)
+    );
+}
+
+/**
+ * Prepends a manifest of every file in `dir` to its service worker, if it has one,
+ * so that it can precache them. Each file's revision is a hash of its contents,
+ * which also makes the service worker itself change when any file does.
+ * @param {string} dir
+ */
+async function write_precache_manifest(dir) {
+    const service_worker = join(dir, 'sw.js');
+    if (!existsSync(service_worker)) {
+        return;
+    }
+    /** @type {Array<{ url: string, revision: string }>} */
+    const manifest = [];
+    for (const file of await readdir(dir, {
+        recursive: true,
+        withFileTypes: true
+    })) {
+        const path = join(file.parentPath, file.name);
+        const url = `/${relative(dir, path).split(sep).join('/')}`;
+        if (
+            !file.isFile() ||
+            path === service_worker ||
+            file.name.endsWith('.d.ts') ||
+            // editor settings and the like
+            url.includes('/.')
+        ) {
+            continue;
+        }
+        const hash = createHash('sha256');
+        hash.update(await readFile(path));
+        manifest.push({
+            url: encodeURI(url),
+            revision: hash.digest('hex').slice(0, 16)
+        });
+    }
+    const code = await readFile(service_worker, 'utf-8');
+    await writeFile(
+        service_worker,
+        `self.__precache_manifest=${JSON.stringify(manifest)};${code}`
+    );
+}
+
 /**
  * Performs the minimum amount of changes necessary
  * to make the `destination` folder have the same contents
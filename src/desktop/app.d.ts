@@ -71,17 +71,90 @@ export type Signal<T = void> = [() => T, (value: T | ((current: T) => T)) => T];
 
 export interface User {
     email: string;
-    password: string;
+    credential: PasswordHash;
     profile_image: string;
+    /** the unit to show weights in, or `null` to show them as entered */
+    weight_unit: Unit | null;
     pets: Pet[];
 }
 
+/** Appearance preferences, stored per device. */
+export interface Appearance {
+    theme: 'light' | 'dark' | 'system';
+    /** a hex color, or `null` for the default */
+    accent: string | null;
+    /** a percentage of the browser's font size */
+    font_size: number;
+}
+
+/**
+ * Which reminders have been notified on this device.
+ * Reminder occurrences are keyed by their id and the time they're due.
+ */
+export interface NotificationState {
+    /** how many minutes reminders are snoozed for */
+    snooze: number;
+    /** when each occurrence was notified */
+    notified: Record<string, number>;
+    /** when each snoozed occurrence is due again */
+    snoozed: Record<string, number>;
+}
+
+/** Attached to reminder notifications, and sent back by the service worker when they're clicked. */
+export interface ReminderNotification {
+    pet: string;
+    reminder: string;
+    /** the time the notified occurrence is due */
+    due: number;
+    action: 'open' | 'snooze' | 'done';
+}
+
+/**
+ * A backup of a user's data. Exports leave out the credential,
+ * since they're imported into whichever account is signed in.
+ */
+export interface DataExport {
+    format: 'pawpal';
+    /** the version of this format, as opposed to `user_version` */
+    version: number;
+    /** the version of `user`, which is migrated when it's imported */
+    user_version: number;
+    exported: number;
+    user: Omit<User, 'credential'>;
+    /** the stored images that `user` refers to, as data URIs */
+    images: Record<string, string>;
+}
+
+/** A property of an iCalendar component, like `DTSTART;TZID=Europe/Paris:20250101T090000`. */
+export interface IcsProperty {
+    value: string;
+    /** keyed by their uppercased names */
+    params: Map<string, string>;
+}
+
+/** An entry in the registry of accounts on this device. */
+export interface Account {
+    id: string;
+    signed_in: boolean;
+}
+
+/** A salted hash of a password, so that the password itself is never stored. */
+export interface PasswordHash {
+    algorithm: 'PBKDF2-SHA-256';
+    iterations: number;
+    /** base64 */
+    salt: string;
+    /** base64 */
+    hash: string;
+}
+
 type PetSpecies = 'dog' | 'cat' | 'bird' | 'fish' | 'turtle' | 'rabbit';
 type Metric = `${'k' | ''}g`;
 type Imperial = 'lb' | 'oz';
 export type Unit = Metric | Imperial;
 
 export interface Pet {
+    id: string;
     name: string;
     species: PetSpecies;
     breed: string;
@@ -90,27 +163,124 @@ export interface Pet {
         hero: string;
         icon: string;
     };
+    /** the latest entry in `weights` */
     weight: {
         amount: number;
         unit: Unit;
     };
+    /** every weight that has been logged, oldest first */
+    weights: WeightEntry[];
     medicines: Medicine[];
     reminders: Reminder[];
+    activities: Activity[];
+}
+
+export interface WeightEntry {
+    time: number;
+    amount: number;
+    unit: Unit;
+}
+
+export interface Activity {
+    type: 'walk' | 'play' | 'feeding';
+    /** when the activity started */
+    time: number;
+    minutes: number;
 }
 
 export interface Medicine {
+    id: string;
     name: string;
     amount: number;
     per: {
         unit: 'day' | 'hour' | 'week';
         interval: number;
     };
+    /** when the first dose is due */
+    start: number;
+    /** the doses that have been given, oldest first */
+    doses: Dose[];
+}
+
+export interface Dose {
+    /** when the dose was due */
+    due: number;
+    /** when the dose was given, or when it was logged as skipped */
+    time: number;
+    status: 'given' | 'late' | 'skipped';
+}
+
+/** Part of a pet's wellness score. */
+export interface WellnessFactor {
+    label: string;
+    /** how much this factor counts relative to the others */
+    weight: number;
+    /** scores `pet` from 0 to 1, or returns `null` if there's no data to score */
+    score(pet: Pet, now: number): number | null;
+}
+
+export interface Wellness {
+    /** from 0 to 100 */
+    score: number | null;
+    breakdown: Array<{ label: string; weight: number; score: number }>;
+}
+
+/** How many doses due in a week were given, given late or skipped. */
+export interface WeeklyAdherence {
+    /** the midnight that starts the week */
+    week: number;
+    given: number;
+    late: number;
+    skipped: number;
+    /** the fraction of doses that were given, including late ones */
+    adherence: number;
+}
+
+export interface Crop {
+    x: number;
+    y: number;
+    width: number;
+    height: number;
+}
+
+/** A crop that `photo_picker` asks for. */
+export interface CropSpec {
+    /** width / height */
+    aspect: number;
+    label: string;
+    /** the maximum width that the crop is encoded at */
+    width: number;
 }
 
 export interface Reminder {
+    id: string;
     type: string; // TODO specify
+    /** when the reminder is next due */
     time: number;
     details: string;
+    /** the id of the medicine that this reminder was generated for, if any */
+    medicine?: string;
+    /** how the reminder repeats, or `null` if it's only due once */
+    recurrence: Recurrence | null;
+    completions: Completion[];
+}
+
+/** Modeled after the `FREQ`, `INTERVAL` and `UNTIL` parts of an RRULE. */
+export interface Recurrence {
+    frequency: 'daily' | 'weekly' | 'monthly';
+    /** how many days, weeks or months there are between occurrences */
+    interval: number;
+    /** the time after which the reminder stops repeating, if any */
+    until: number | null;
+    /** when the first occurrence was due, which monthly occurrences are counted from */
+    start: number;
+}
+
+export interface Completion {
+    /** when the completed occurrence was due */
+    due: number;
+    /** when it was checked off */
+    time: number;
 }
 
 // Is this way too much precision for types? Yes. Is it fun tho? Yes.
@@ -1,6 +1,7 @@
-/** @import { Source, Reaction, Derived, Effect, Fork, Signal, User, Reminder, IsMediaQuery, Pet, PetSpecies, Unit } from './app.js' */
+/** @import { Source, Reaction, Derived, Effect, Fork, Signal, Appearance, NotificationState, ReminderNotification, Account, DataExport, IcsProperty, User, PasswordHash, Reminder, Recurrence, IsMediaQuery, Pet, PetSpecies, Unit, Crop, CropSpec, Medicine, Dose, WeeklyAdherence, WellnessFactor, Wellness, Activity, WeightEntry } from './app.js' */
 /// <reference lib="es2023" />
 // @ts-check
+import * as v from 'valibot';
 const DIRTY = 1 << 1;
 const MAYBE_DIRTY = 1 << 2;
 const DERIVED = 1 << 3;
@@ -774,6 +775,27 @@ function element(tag, props = null, ...children) {
     return elem;
 }
 
+/**
+ * Like `element`, but for SVG elements, whose `attributes` are always set as attributes.
+ * @template {keyof SVGElementTagNameMap} T
+ * @param {T} tag
+ * @param {Record<string, string | number> | null} [attributes]
+ * @param {Array<Node | string | number | null>} children
+ * @returns {SVGElementTagNameMap[T]}
+ */
+function svg_element(tag, attributes = null, ...children) {
+    const elem = document.createElementNS('http://www.w3.org/2000/svg', tag);
+    for (const [key, value] of Object.entries(attributes ?? {})) {
+        set_attribute(elem, key, `${value}`);
+    }
+    elem.append(
+        ...children
+            .filter(child => child !== null)
+            .map(child => (typeof child !== 'object' ? `${child}` : child))
+    );
+    return elem;
+}
+
 const [url_version, increment_url_version] = create_version();
 const url = derived(() => (url_version(), { ...location }));
 
@@ -928,7 +950,7 @@ async function goto_prefetched(url) {
 }
 
 /**
- * Renders the specified `url`.
+ * Renders the specified `url` and runs its page handlers.
  * @param {string} url
  * @returns {Promise<never>}
  */
@@ -944,7 +966,10 @@ async function render(url) {
     const fragment = body();
     set_nav(/** @type {HTMLElement} */ (frag_query_selector(fragment, 'nav')));
     document.body.replaceChildren(fragment);
-    set_rendered_url(new URL(url, location.href).pathname);
+    const { pathname } = new URL(url, location.href);
+    set_rendered_url(pathname);
+    // `render` is called from effects, which shouldn't depend on what the handlers read
+    await untrack(() => run_page_handlers(pathname));
     throw redirect_error;
 }
 
@@ -1015,23 +1040,31 @@ async function prefetch_all_links() {
     }
 }
 
+/**
+ * Runs the handlers of the page at `pathname`.
+ * @param {string} pathname
+ */
+async function run_page_handlers(pathname) {
+    const handlers = page_handlers.get(pathname);
+    if (handlers !== undefined) {
+        for (const handler of handlers) {
+            await handler();
+        }
+    }
+    for (const [regex, handlers] of regex_page_handlers) {
+        if (!regex.test(pathname)) {
+            continue;
+        }
+        for (const handler of handlers) {
+            await handler();
+        }
+    }
+}
+
 async function init() {
     try {
         await prefetch_all_links();
-        const handlers = page_handlers.get(location.pathname);
-        if (handlers !== undefined) {
-            for (const handler of handlers) {
-                await handler();
-            }
-        }
-        for (const [regex, handlers] of regex_page_handlers) {
-            if (!regex.test(location.pathname)) {
-                continue;
-            }
-            for (const handler of handlers) {
-                await handler();
-            }
-        }
+        await run_page_handlers(location.pathname);
         await prefetch_all_links();
     } catch (err) {
         if (err !== redirect_error) {
@@ -1048,6 +1081,23 @@ function on_destroy(fn) {
     on_destroy_handlers.push(fn);
 }
 
+/**
+ * Like {@link effect}, but the effect is torn down
+ * when the user navigates away from the page.
+ * Use this instead of {@link effect} inside `page` handlers.
+ * @param {() => void | (() => void)} fn
+ */
+function page_effect(fn) {
+    const reaction = create_effect(fn);
+    on_destroy(() => {
+        const index = queue.indexOf(reaction);
+        if (index !== -1) {
+            queue.splice(index, 1);
+        }
+        teardown_effect(reaction);
+    });
+}
+
 /**
  * @template T
  * @param {() => T} getter
@@ -1076,20 +1126,675 @@ function signal_from(getter, setter) {
 // but alas, this is (somewhat) necessary for decent-ish performance
 const default_user_profile =
     'data:image/svg+xml,%3Csvg%20width%3D%2277%22%20height%3D%2277%22%20viewBox%3D%220%200%2077%2077%22%20fill%3D%22none%22%20xmlns%3D%22http%3A%2F%2Fwww.w3.org%2F2000%2Fsvg%22%3E%3Ccircle%20cx%3D%2238.5%22%20cy%3D%2238.5%22%20r%3D%2238%22%20fill%3D%22%233A3A78%22%20stroke%3D%22white%22%2F%3E%3Ccircle%20cx%3D%2238.5%22%20cy%3D%2228.5%22%20r%3D%2222%22%20fill%3D%22%233A3A78%22%20stroke%3D%22white%22%2F%3E%3Cmask%20id%3D%22path-3-inside-1_104_636%22%20fill%3D%22white%22%3E%3Cpath%20d%3D%22M38.3652%2053C42.3049%2053%2046.2059%2053.647%2049.8457%2054.9033C53.4854%2056.1597%2056.7924%2058.0009%2059.5781%2060.3223C61.8133%2062.1849%2063.6771%2064.3281%2065.1055%2066.6689C58.2292%2073.0772%2049.0061%2077%2038.8652%2077C28.4141%2077%2018.9371%2072.8341%2012%2066.0742C13.3742%2063.9646%2015.1078%2062.026%2017.1523%2060.3223C19.938%2058.0009%2023.2451%2056.1597%2026.8848%2054.9033C30.5245%2053.647%2034.4256%2053%2038.3652%2053Z%22%2F%3E%3C%2Fmask%3E%3Cpath%20d%3D%22M38.3652%2053C42.3049%2053%2046.2059%2053.647%2049.8457%2054.9033C53.4854%2056.1597%2056.7924%2058.0009%2059.5781%2060.3223C61.8133%2062.1849%2063.6771%2064.3281%2065.1055%2066.6689C58.2292%2073.0772%2049.0061%2077%2038.8652%2077C28.4141%2077%2018.9371%2072.8341%2012%2066.0742C13.3742%2063.9646%2015.1078%2062.026%2017.1523%2060.3223C19.938%2058.0009%2023.2451%2056.1597%2026.8848%2054.9033C30.5245%2053.647%2034.4256%2053%2038.3652%2053Z%22%20fill%3D%22%233A3A78%22%2F%3E%3Cpath%20d%3D%22M38.3652%2053V52V53ZM49.8457%2054.9033L50.172%2053.9581L50.172%2053.958L49.8457%2054.9033ZM59.5781%2060.3223L60.2183%2059.554L60.2183%2059.554L59.5781%2060.3223ZM65.1055%2066.6689L65.7872%2067.4005L66.384%2066.8444L65.9591%2066.1481L65.1055%2066.6689ZM12%2066.0742L11.1621%2065.5284L10.7136%2066.217L11.3021%2066.7904L12%2066.0742ZM17.1523%2060.3223L16.5122%2059.554L16.5122%2059.554L17.1523%2060.3223ZM26.8848%2054.9033L26.5585%2053.958L26.5585%2053.9581L26.8848%2054.9033ZM38.3652%2053V54C42.1964%2054%2045.987%2054.6293%2049.5194%2055.8486L49.8457%2054.9033L50.172%2053.958C46.4249%2052.6646%2042.4134%2052%2038.3652%2052V53ZM49.8457%2054.9033L49.5194%2055.8486C53.0517%2057.0679%2056.251%2058.8514%2058.938%2061.0905L59.5781%2060.3223L60.2183%2059.554C57.3339%2057.1504%2053.919%2055.2514%2050.172%2053.9581L49.8457%2054.9033ZM59.5781%2060.3223L58.9379%2061.0905C61.0935%2062.8868%2062.8836%2064.9475%2064.2518%2067.1898L65.1055%2066.6689L65.9591%2066.1481C64.4706%2063.7086%2062.5332%2061.4831%2060.2183%2059.554L59.5781%2060.3223ZM65.1055%2066.6689L64.4237%2065.9374C57.7251%2072.1801%2048.743%2076%2038.8652%2076V77V78C49.2692%2078%2058.7334%2073.9743%2065.7872%2067.4005L65.1055%2066.6689ZM38.8652%2077V76C28.6853%2076%2019.4559%2071.9434%2012.6979%2065.358L12%2066.0742L11.3021%2066.7904C18.4183%2073.7248%2028.1428%2078%2038.8652%2078V77ZM12%2066.0742L12.8379%2066.62C14.155%2064.5979%2015.8209%2062.7335%2017.7925%2061.0905L17.1523%2060.3223L16.5122%2059.554C14.3947%2061.3186%2012.5933%2063.3312%2011.1621%2065.5284L12%2066.0742ZM17.1523%2060.3223L17.7925%2061.0905C20.4795%2058.8514%2023.6787%2057.0679%2027.2111%2055.8486L26.8848%2054.9033L26.5585%2053.9581C22.8115%2055.2514%2019.3966%2057.1504%2016.5122%2059.554L17.1523%2060.3223ZM26.8848%2054.9033L27.2111%2055.8486C30.7435%2054.6293%2034.5341%2054%2038.3652%2054V53V52C34.3171%2052%2030.3056%2052.6646%2026.5585%2053.958L26.8848%2054.9033Z%22%20fill%3D%22white%22%20mask%3D%22url(%23path-3-inside-1_104_636)%22%2F%3E%3C%2Fsvg%3E';
-/** @type {Signal<User | null>} */
-const [user, set_user] = signal_from(
-    () => JSON.parse((localStorage.user ??= JSON.stringify(null))),
-    value => (localStorage.user = JSON.stringify(value))
+const species_schema = v.picklist([
+    'dog',
+    'cat',
+    'bird',
+    'fish',
+    'turtle',
+    'rabbit'
+]);
+const unit_schema = v.picklist(['kg', 'g', 'lb', 'oz']);
+const reminder_schema = v.object({
+    id: v.string(),
+    type: v.string(),
+    time: v.number(),
+    details: v.string(),
+    medicine: v.optional(v.string()),
+    recurrence: v.nullable(
+        v.object({
+            frequency: v.picklist(['daily', 'weekly', 'monthly']),
+            interval: v.pipe(v.number(), v.integer(), v.minValue(1)),
+            until: v.nullable(v.number()),
+            start: v.number()
+        })
+    ),
+    completions: v.array(
+        v.object({
+            due: v.number(),
+            time: v.number()
+        })
+    )
+});
+const medicine_schema = v.object({
+    id: v.string(),
+    name: v.string(),
+    amount: v.number(),
+    per: v.object({
+        unit: v.picklist(['day', 'hour', 'week']),
+        interval: v.pipe(v.number(), v.integer(), v.minValue(1))
+    }),
+    start: v.number(),
+    doses: v.array(
+        v.object({
+            due: v.number(),
+            time: v.number(),
+            status: v.picklist(['given', 'late', 'skipped'])
+        })
+    )
+});
+const pet_schema = v.object({
+    id: v.string(),
+    name: v.string(),
+    species: species_schema,
+    breed: v.string(),
+    age: v.number(),
+    images: v.object({
+        hero: v.string(),
+        icon: v.string()
+    }),
+    weight: v.object({
+        amount: v.number(),
+        unit: unit_schema
+    }),
+    // `weight` is the latest of these, so there's always at least one
+    weights: v.pipe(
+        v.array(
+            v.object({
+                time: v.number(),
+                amount: v.number(),
+                unit: unit_schema
+            })
+        ),
+        v.minLength(1)
+    ),
+    medicines: v.array(medicine_schema),
+    reminders: v.array(reminder_schema),
+    activities: v.array(
+        v.object({
+            type: v.picklist(['walk', 'play', 'feeding']),
+            time: v.number(),
+            minutes: v.number()
+        })
+    )
+});
+const password_hash_schema = v.object({
+    algorithm: v.literal('PBKDF2-SHA-256'),
+    iterations: v.pipe(v.number(), v.integer(), v.minValue(1)),
+    salt: v.string(),
+    hash: v.string()
+});
+const account_entries = {
+    email: v.string(),
+    credential: password_hash_schema,
+    profile_image: v.string()
+};
+/**
+ * The shape of the current version of the stored user.
+ * Update this alongside `User` (and add a migration) when the data changes.
+ * @type {v.GenericSchema<unknown, User>}
+ */
+const user_schema = v.object({
+    ...account_entries,
+    weight_unit: v.nullable(unit_schema),
+    pets: v.array(pet_schema)
+});
+const stored_user_schema = v.object({
+    version: v.pipe(v.number(), v.integer(), v.minValue(0)),
+    user: v.unknown()
+});
+
+/**
+ * Migrations for stored user data, in order.
+ * `user_migrations[n]` takes data from version `n` to version `n + 1`,
+ * so the current version is `user_migrations.length`.
+ * Version 0 is the unversioned `User` that PawPal originally stored.
+ * Migrations are only run on non-null users.
+ * @type {Array<(user: any) => any | Promise<any>>}
+ */
+const user_migrations = [
+    // pets used to be addressed by their index
+    user => ({
+        ...user,
+        pets: user.pets.map((/** @type {any} */ pet) => ({
+            ...pet,
+            id: pet.id ?? crypto.randomUUID()
+        }))
+    }),
+    // passwords used to be stored in plaintext
+    async ({ password, ...user }) => ({
+        ...user,
+        credential: await create_credential(password)
+    }),
+    // medicines weren't scheduled, so they start being due now
+    user => ({
+        ...user,
+        pets: user.pets.map((/** @type {any} */ pet) => ({
+            ...pet,
+            medicines: pet.medicines.map((/** @type {any} */ medicine) => ({
+                ...medicine,
+                id: crypto.randomUUID(),
+                start: Date.now(),
+                doses: []
+            }))
+        }))
+    }),
+    // doses could only be given, so infer which were late
+    user => ({
+        ...user,
+        pets: user.pets.map((/** @type {any} */ pet) => ({
+            ...pet,
+            medicines: pet.medicines.map((/** @type {any} */ medicine) => {
+                const period =
+                    medicine.per.interval *
+                    { hour: 1, day: 24, week: 168 }[
+                        /** @type {'hour' | 'day' | 'week'} */ (
+                            medicine.per.unit
+                        )
+                    ] *
+                    60 *
+                    60 *
+                    1000;
+                return {
+                    ...medicine,
+                    doses: medicine.doses.map((/** @type {any} */ dose) => ({
+                        ...dose,
+                        status:
+                            dose.time - dose.due >
+                            Math.min(60 * 60 * 1000, period / 2)
+                                ? 'late'
+                                : 'given'
+                    }))
+                };
+            })
+        }))
+    }),
+    // activity wasn't logged
+    user => ({
+        ...user,
+        pets: user.pets.map((/** @type {any} */ pet) => ({
+            ...pet,
+            activities: []
+        }))
+    }),
+    // only the current weight was kept
+    user => ({
+        ...user,
+        weight_unit: null,
+        pets: user.pets.map((/** @type {any} */ pet) => ({
+            ...pet,
+            weights: [{ time: Date.now(), ...pet.weight }]
+        }))
+    }),
+    // reminders couldn't be checked off or repeat
+    user => ({
+        ...user,
+        pets: user.pets.map((/** @type {any} */ pet) => ({
+            ...pet,
+            reminders: pet.reminders.map((/** @type {any} */ reminder) => ({
+                ...reminder,
+                id: reminder.medicine ?? crypto.randomUUID(),
+                recurrence: null,
+                completions: []
+            }))
+        }))
+    }),
+    // monthly reminders weren't counted from their first occurrence
+    user => ({
+        ...user,
+        pets: user.pets.map((/** @type {any} */ pet) => ({
+            ...pet,
+            reminders: pet.reminders.map((/** @type {any} */ reminder) =>
+                reminder.recurrence === null
+                    ? reminder
+                    : {
+                          ...reminder,
+                          recurrence: {
+                              ...reminder.recurrence,
+                              start: reminder.time
+                          }
+                      }
+            )
+        }))
+    })
+];
+const USER_VERSION = user_migrations.length;
+
+/**
+ * @param {User | null} user
+ */
+function serialize_user(user) {
+    return JSON.stringify({ version: USER_VERSION, user });
+}
+
+/**
+ * Migrates `user` from `version` to {@link USER_VERSION}.
+ * Throws if it can't be migrated, and doesn't validate the result.
+ * @param {number} version
+ * @param {unknown} user
+ */
+async function migrate_user(version, user) {
+    for (; version < USER_VERSION; version++) {
+        user = await user_migrations[version](user);
+    }
+    return user;
+}
+
+/**
+ * Returns the version of the stored data of the account `id`,
+ * which is newer than {@link USER_VERSION} if another tab runs a newer version of PawPal.
+ * @param {string} id
+ */
+function stored_user_version(id) {
+    try {
+        const data = JSON.parse(localStorage[user_key(id)] ?? 'null');
+        return v.is(stored_user_schema, data) ? data.version : 0;
+    } catch {
+        return 0;
+    }
+}
+
+/**
+ * Parses, migrates and validates the stored data `text` of the account `id`.
+ * Data that can't be read is backed up to `localStorage['user_backup:<id>']`
+ * and as much of it as possible is recovered, so that
+ * corrupt data doesn't prevent the app from loading.
+ * @param {string} id
+ * @param {string} text
+ * @returns {Promise<User | null>}
+ */
+async function deserialize_user(id, text) {
+    /** @type {unknown} */
+    let data;
+    try {
+        data = JSON.parse(text);
+    } catch {
+        localStorage[`user_backup:${id}`] = text;
+        return recover_user(null);
+    }
+    /** @type {{ version: number; user: unknown }} */
+    let stored;
+    if (v.is(stored_user_schema, data)) {
+        stored = data;
+    } else {
+        stored = { version: 0, user: data };
+    }
+    if (stored.user === null) {
+        return null;
+    }
+    if (stored.version > USER_VERSION) {
+        // written by a newer version of PawPal, so we can't know its shape,
+        // but it isn't corrupt and stays stored as it is
+        return recover_user(stored.user);
+    }
+    let user;
+    try {
+        user = await migrate_user(stored.version, stored.user);
+    } catch {
+        localStorage[`user_backup:${id}`] = text;
+        return recover_user(stored.user);
+    }
+    const result = v.safeParse(user_schema, user);
+    if (result.success) {
+        return result.output;
+    }
+    localStorage[`user_backup:${id}`] = text;
+    return recover_user(user);
+}
+
+/**
+ * Salvages what it can from `user`, keeping the account
+ * and any pets that are still valid.
+ * @param {unknown} user
+ * @returns {User | null}
+ */
+function recover_user(user) {
+    const account = v.safeParse(
+        v.object({
+            ...account_entries,
+            pets: v.array(v.unknown())
+        }),
+        user
+    );
+    if (!account.success) {
+        return null;
+    }
+    return {
+        ...account.output,
+        // preferences aren't worth recovering
+        weight_unit: null,
+        pets: account.output.pets.filter(pet => v.is(pet_schema, pet))
+    };
+}
+
+const PBKDF2_ITERATIONS = 600_000;
+
+/**
+ * @param {Uint8Array} bytes
+ */
+function to_base64(bytes) {
+    return btoa(String.fromCharCode(...bytes));
+}
+
+/**
+ * @param {string} base64
+ */
+function from_base64(base64) {
+    return Uint8Array.from(atob(base64), char => char.charCodeAt(0));
+}
+
+/**
+ * Derives a 256 bit key from `password` with PBKDF2.
+ * @param {string} password
+ * @param {Uint8Array<ArrayBuffer>} salt
+ * @param {number} iterations
+ */
+async function pbkdf2(password, salt, iterations) {
+    const key = await crypto.subtle.importKey(
+        'raw',
+        new TextEncoder().encode(password),
+        'PBKDF2',
+        false,
+        ['deriveBits']
+    );
+    const bits = await crypto.subtle.deriveBits(
+        { name: 'PBKDF2', hash: 'SHA-256', salt, iterations },
+        key,
+        256
+    );
+    return new Uint8Array(bits);
+}
+
+/**
+ * Salts and hashes `password`, so that it never has to be stored.
+ * @param {string} password
+ * @returns {Promise<PasswordHash>}
+ */
+async function create_credential(password) {
+    const salt = crypto.getRandomValues(new Uint8Array(16));
+    const hash = await pbkdf2(password, salt, PBKDF2_ITERATIONS);
+    return {
+        algorithm: 'PBKDF2-SHA-256',
+        iterations: PBKDF2_ITERATIONS,
+        salt: to_base64(salt),
+        hash: to_base64(hash)
+    };
+}
+
+/**
+ * @param {string} password
+ * @param {PasswordHash} credential
+ */
+async function verify_password(password, credential) {
+    const hash = await pbkdf2(
+        password,
+        from_base64(credential.salt),
+        credential.iterations
+    );
+    const expected = from_base64(credential.hash);
+    // compare every byte, so that the time taken doesn't leak the hash
+    let difference = hash.length ^ expected.length;
+    for (let i = 0; i < hash.length; i++) {
+        difference |= hash[i] ^ (expected[i] ?? 0);
+    }
+    return difference === 0;
+}
+
+/**
+ * Every account on this device is listed in `localStorage.accounts`,
+ * and its data is stored under its own key (see `user_key`), so that
+ * e.g. a household sharing a browser can each have their own account.
+ * `localStorage.active_account` is the id of the account that's being used.
+ */
+const accounts_schema = v.array(
+    v.object({
+        id: v.string(),
+        signed_in: v.boolean()
+    })
+);
+const USER_KEY_PREFIX = 'user:';
+
+/**
+ * @param {string} id
+ */
+function user_key(id) {
+    return `${USER_KEY_PREFIX}${id}`;
+}
+
+/**
+ * Reads the account registry, rebuilding it from
+ * the stored accounts if it's missing or corrupt.
+ * @returns {Account[]}
+ */
+function read_accounts() {
+    try {
+        return v.parse(accounts_schema, JSON.parse(localStorage.accounts));
+    } catch {
+        return Object.keys(localStorage)
+            .filter(key => key.startsWith(USER_KEY_PREFIX))
+            .map(key => ({
+                id: key.slice(USER_KEY_PREFIX.length),
+                signed_in: false
+            }));
+    }
+}
+
+/**
+ * Reads the (already migrated) data of the account `id`.
+ * Data stored by a newer version of PawPal isn't migrated,
+ * so only its account details can be relied on.
+ * @param {string | null} id
+ * @returns {User | null}
+ */
+function read_user(id) {
+    if (id === null) {
+        return null;
+    }
+    return /** @type {{ user: User | null }} */ (
+        JSON.parse(localStorage[user_key(id)] ?? 'null') ?? { user: null }
+    ).user;
+}
+
+/**
+ * Rules that new passwords have to follow, with the error shown when they don't.
+ * @type {Array<[RegExp, string]>}
+ */
+const PASSWORD_RULES = [
+    [/^.{8,}$/su, 'Use at least 8 characters.'],
+    [/\p{L}/u, 'Include at least one letter.'],
+    [/\p{N}/u, 'Include at least one number.']
+];
+
+/**
+ * Returns why `password` is too weak, or an empty string if it isn't.
+ * @param {string} password
+ */
+function password_weakness(password) {
+    return PASSWORD_RULES.find(([rule]) => !rule.test(password))?.[1] ?? '';
+}
+
+/**
+ * Migrates every stored account to the current version and returns their data.
+ * This has to be stored immediately, since `read_user`
+ * would otherwise need to rerun the migrations (and e.g. generate new ids) every time.
+ * Data from a newer version of PawPal is only migrated in memory, so it isn't lost.
+ * @returns {Promise<Map<string, User>>}
+ */
+async function migrate_accounts() {
+    // older versions of PawPal only had one account, stored in `localStorage.user`
+    if (
+        localStorage.accounts === undefined &&
+        localStorage.user !== undefined
+    ) {
+        const id = crypto.randomUUID();
+        localStorage[user_key(id)] = localStorage.user;
+        localStorage.accounts = JSON.stringify([
+            {
+                id,
+                // accounts that existed before signing in was possible start signed in
+                signed_in: (localStorage.signed_in ?? 'true') === 'true'
+            }
+        ]);
+        localStorage.active_account = id;
+        localStorage.removeItem('user');
+        localStorage.removeItem('signed_in');
+    }
+    /** @type {Account[]} */
+    const valid = [];
+    /** @type {Map<string, User>} */
+    const users = new Map();
+    for (const account of read_accounts()) {
+        const key = user_key(account.id);
+        const stored = await deserialize_user(
+            account.id,
+            localStorage[key] ?? 'null'
+        );
+        if (stored_user_version(account.id) > USER_VERSION) {
+            if (stored !== null) {
+                users.set(account.id, stored);
+            }
+            valid.push(account);
+        } else if (stored === null) {
+            localStorage.removeItem(key);
+        } else {
+            localStorage[key] = serialize_user(stored);
+            users.set(account.id, stored);
+            valid.push(account);
+        }
+    }
+    localStorage.accounts = JSON.stringify(valid);
+    if (!valid.some(account => account.id === localStorage.active_account)) {
+        localStorage.active_account = next_account(valid) ?? '';
+    }
+    return users;
+}
+
+const migrated_users = await migrate_accounts();
+
+/** @type {Signal<Account[]>} */
+const [accounts, set_accounts] = signal_from(
+    read_accounts,
+    value => (localStorage.accounts = JSON.stringify(value))
+);
+/** @type {Signal<string | null>} */
+const [active_account, set_active_account] = signal_from(
+    () => localStorage.active_account || null,
+    value => (localStorage.active_account = value ?? '')
+);
+/**
+ * The data of the active account, whether or not it's signed in.
+ * Other tabs may run other versions of PawPal, so their changes are only read
+ * (see the `storage` listener below) and data they stored
+ * in a newer version is never overwritten with an older one.
+ */
+const [stored_user, set_stored_user] = signal(
+    migrated_users.get(localStorage.active_account) ?? null
 );
+
+/** @type {Signal<User | null>[1]} */
+function set_user(value) {
+    const next =
+        typeof value === 'function' ? value(untrack(stored_user)) : value;
+    const id = untrack(active_account);
+    if (id !== null && stored_user_version(id) <= USER_VERSION) {
+        localStorage[user_key(id)] = serialize_user(next);
+    }
+    return set_stored_user(next);
+}
+const signed_in = derived(
+    () =>
+        accounts().find(account => account.id === active_account())
+            ?.signed_in ?? false
+);
+/**
+ * The signed in user, or `null` if there is no active account or it's signed out.
+ * Use `accounts` to check whether any accounts exist.
+ */
+const user = derived(() => (signed_in() ? stored_user() : null));
 const [rendered_url, set_rendered_url] = signal(location.pathname);
 
+/**
+ * @param {string} id
+ * @param {boolean} value
+ */
+function set_signed_in(id, value) {
+    set_accounts(current =>
+        current.map(account =>
+            account.id === id ? { ...account, signed_in: value } : account
+        )
+    );
+}
+
+/**
+ * Finds the account with the email address `email`.
+ * @param {string} email
+ */
+function find_account(email) {
+    return untrack(accounts).find(
+        account =>
+            read_user(account.id)?.email.toLowerCase() === email.toLowerCase()
+    );
+}
+
+/**
+ * Stores `data` as a new, signed in account and returns its id.
+ * @param {User} data
+ */
+function add_account(data) {
+    const id = crypto.randomUUID();
+    localStorage[user_key(id)] = serialize_user(data);
+    set_accounts(current => [...current, { id, signed_in: true }]);
+    return id;
+}
+
+/**
+ * Removes the account `id` and returns the id of
+ * the account to switch to (if any) instead.
+ * @param {string} id
+ */
+function remove_account(id) {
+    localStorage.removeItem(user_key(id));
+    const remaining = set_accounts(current =>
+        current.filter(account => account.id !== id)
+    );
+    return next_account(remaining);
+}
+
+/**
+ * @param {Account[]} candidates
+ */
+function next_account(candidates) {
+    return (
+        (candidates.find(account => account.signed_in) ?? candidates[0])?.id ??
+        null
+    );
+}
+
+/**
+ * Makes `id` the active account and reloads PawPal for it,
+ * since every page depends on the active account.
+ * @param {string | null} id
+ */
+function switch_account(id) {
+    set_active_account(id);
+    location.assign('/');
+}
+
 // @ts-expect-error
 add_event_listener(window, 'storage', (/** @type {StorageEvent} */ e) => {
     if (e.storageArea !== localStorage) {
         return;
     }
-    if (e.key === 'user' && e.newValue !== JSON.stringify(user())) {
-        set_user(JSON.parse(e.newValue ?? 'null'));
+    if (e.key === 'accounts') {
+        set_accounts(read_accounts());
+    }
+    if (
+        e.key === 'active_account' &&
+        (e.newValue || null) !== active_account()
+    ) {
+        // another tab switched accounts, so follow it
+        location.reload();
+    }
+    const id = active_account();
+    if (
+        id !== null &&
+        e.key === user_key(id) &&
+        e.newValue !== null &&
+        e.newValue !== serialize_user(stored_user())
+    ) {
+        // writing it back would downgrade data from newer tabs,
+        // or make them rerun their migrations on data they already migrated
+        deserialize_user(id, e.newValue).then(set_stored_user);
     }
 });
 
@@ -1153,6 +1858,67 @@ const main = derived(
 );
 
 const mobile = media_query('screen and (orientation: portrait)');
+const prefers_dark = media_query('(prefers-color-scheme: dark)');
+// when installed, there's no browser UI around the app
+const standalone = media_query('(display-mode: standalone)');
+
+/**
+ * Appearance preferences are per device rather than per account,
+ * so that they also apply before signing in.
+ * @type {v.GenericSchema<unknown, Appearance>}
+ */
+const appearance_schema = v.object({
+    theme: v.picklist(['light', 'dark', 'system']),
+    accent: v.nullable(v.pipe(v.string(), v.hexColor())),
+    font_size: v.pipe(v.number(), v.minValue(50), v.maxValue(200))
+});
+/** @type {Appearance} */
+const default_appearance = { theme: 'dark', accent: null, font_size: 100 };
+
+function read_appearance() {
+    try {
+        return v.parse(appearance_schema, JSON.parse(localStorage.appearance));
+    } catch {
+        return default_appearance;
+    }
+}
+
+/** @type {Signal<Appearance>} */
+const [appearance, set_appearance] = signal_from(
+    read_appearance,
+    value => (localStorage.appearance = JSON.stringify(value))
+);
+
+// @ts-expect-error
+add_event_listener(window, 'storage', (/** @type {StorageEvent} */ e) => {
+    if (e.storageArea === localStorage && e.key === 'appearance') {
+        set_appearance(read_appearance());
+    }
+});
+
+effect(() => {
+    const { theme, accent, font_size } = appearance();
+    const root = document.documentElement;
+    root.dataset.theme =
+        theme === 'system' ? (prefers_dark() ? 'dark' : 'light') : theme;
+    if (accent === null) {
+        delete root.dataset.accent;
+        root.style.removeProperty('--accent');
+    } else {
+        root.dataset.accent = '';
+        root.style.setProperty('--accent', accent);
+    }
+    root.style.fontSize = font_size === 100 ? '' : `${font_size}%`;
+    // colors the title bar of the installed app, which the build sets to the dark theme
+    doc_query_selector(document, 'meta[name=theme-color]')?.setAttribute(
+        'content',
+        getComputedStyle(root).getPropertyValue('--dark-mode-fg').trim()
+    );
+});
+
+effect(() => {
+    document.documentElement.toggleAttribute('data-standalone', standalone());
+});
 
 effect(() => {
     const m = main();
@@ -1166,6 +1932,7 @@ effect(() => {
 });
 
 const sign_up = template('<a href="/sign-up">Sign Up</a>');
+const sign_in = template('<a href="/sign-in">Sign In</a>');
 /** <svg width="48" height="48" viewBox="0 0 48 48" fill="#555" xmlns="http://www.w3.org/2000/svg">
             <circle r="24" cx="24" cy="24" />
         </svg> */
@@ -1183,9 +1950,42 @@ const clone = template(
         </svg>
         Settings
     </a>
+    <button class="sign-out">
+        <svg xmlns="http://www.w3.org/2000/svg" height="48px" viewBox="0 -960 960 960" width="48px" fill="#fff"><path d="M180-120q-24 0-42-18t-18-42v-600q0-24 18-42t42-18h291v60H180v600h291v60H180Zm486-185-43-43 102-102H375v-60h348L621-612l43-43 176 176-174 174Z"/></svg>Sign Out
+    </button>
 </details>`
 );
 
+/**
+ * Buttons for switching to the other accounts on this device.
+ * Accounts that are signed out have to be signed in to first.
+ */
+function account_switcher() {
+    const active = untrack(active_account);
+    return untrack(accounts).flatMap(account => {
+        const data = read_user(account.id);
+        if (account.id === active || data === null) {
+            return [];
+        }
+        const image = element('img', { alt: '' });
+        set_image_src(image, data.profile_image);
+        const button = element(
+            'button',
+            { class: 'switch-account', title: `Switch to ${data.email}` },
+            image,
+            element('span', null, data.email)
+        );
+        on(button, 'click', async () => {
+            if (account.signed_in) {
+                switch_account(account.id);
+            } else {
+                await goto(`/sign-in?email=${encodeURIComponent(data.email)}`);
+            }
+        });
+        return [button];
+    });
+}
+
 /** @__NO_SIDE_EFFECTS__ */
 function account_dropdown() {
     const fragment = clone();
@@ -1198,8 +1998,24 @@ function account_dropdown() {
             details.open = false;
         }
     });
+    const sign_out = /** @type {HTMLButtonElement} */ (
+        details.lastElementChild
+    );
+    on(sign_out, 'click', () => {
+        const id = /** @type {string} */ (untrack(active_account));
+        set_signed_in(id, false);
+        // stay on this account (to sign back in) unless another one is signed in
+        switch_account(
+            untrack(accounts).find(account => account.signed_in)?.id ?? id
+        );
+    });
+    const add_account_link = element('a', { href: '/sign-up' }, 'Add Account');
+    sign_out.before(...account_switcher(), add_account_link);
     effect(() => {
-        profile_image.src = user()?.profile_image ?? default_user_profile;
+        set_image_src(
+            profile_image,
+            user()?.profile_image ?? default_user_profile
+        );
     });
     return details;
 }
@@ -1209,6 +2025,8 @@ effect(() => {
     const update = () => {
         if (user() !== null) {
             child.replaceWith(account_dropdown());
+        } else if (accounts().length > 0) {
+            child.replaceWith(sign_in());
         } else {
             child.replaceWith(sign_up());
         }
@@ -1220,67 +2038,366 @@ effect(() => {
     }
 });
 
-page('/', () => {
-    const home_page = /** @type {HTMLTemplateElement} */ (
-        doc_query_selector(document, '.homepage')
-    );
-    const dashboard = /** @type {HTMLTemplateElement} */ (
-        doc_query_selector(document, '.dashboard')
-    );
-    const main = /** @type {HTMLElement} */ (
-        doc_query_selector(document, 'main')
+const DAY = 24 * 60 * 60 * 1000;
+
+/**
+ * Returns the timestamp of the midnight before `time`, in local time.
+ * @param {number} time
+ */
+function start_of_day(time) {
+    const date = new Date(time);
+    date.setHours(0, 0, 0, 0);
+    return date.getTime();
+}
+
+/**
+ * Returns the label of the group a reminder at `time` belongs in,
+ * relative to today.
+ * @param {number} time
+ */
+function day_group(time) {
+    // rounding accounts for days that are 23 or 25 hours long due to DST
+    const days = Math.round(
+        (start_of_day(time) - start_of_day(Date.now())) / DAY
     );
-    if (user() !== null) {
-        document.title = `Dashboard — PawPal`;
+    if (days < 0) {
+        return 'Overdue';
+    }
+    if (days === 0) {
+        return 'Today';
+    }
+    if (days === 1) {
+        return 'Tomorrow';
+    }
+    if (days < 7) {
+        return 'This week';
+    }
+    return 'Later';
+}
+
+/**
+ * Formats `time` for display in a reminder group with the specified `label`.
+ * Today's and tomorrow's reminders only need a time of day.
+ * @param {number} time
+ * @param {string} label
+ */
+function format_reminder_time(time, label) {
+    return new Date(time).toLocaleString(
+        undefined,
+        label === 'Today' || label === 'Tomorrow'
+            ? { timeStyle: 'short' }
+            : {
+                  weekday: 'short',
+                  month: 'short',
+                  day: 'numeric',
+                  hour: 'numeric',
+                  minute: '2-digit'
+              }
+    );
+}
+
+/**
+ * Returns the occurrence of a recurring reminder that follows the one at `time`.
+ * Monthly occurrences are counted from the first one, and are due
+ * on the last day of months that don't have its day, so they don't drift.
+ * @param {number} time
+ * @param {Recurrence} recurrence
+ */
+function next_occurrence(time, { frequency, interval, start }) {
+    const date = new Date(time);
+    if (frequency === 'daily') {
+        date.setDate(date.getDate() + interval);
+        return date.getTime();
+    }
+    if (frequency === 'weekly') {
+        date.setDate(date.getDate() + interval * 7);
+        return date.getTime();
+    }
+    const first = new Date(start);
+    const months =
+        (date.getFullYear() - first.getFullYear()) * 12 +
+        date.getMonth() -
+        first.getMonth() +
+        interval;
+    const next = new Date(first);
+    // months that are too short would otherwise overflow into the next one
+    next.setDate(1);
+    next.setMonth(first.getMonth() + months);
+    const last_day = new Date(
+        next.getFullYear(),
+        next.getMonth() + 1,
+        0
+    ).getDate();
+    next.setDate(Math.min(first.getDate(), last_day));
+    return next.getTime();
+}
+
+/**
+ * Whether the occurrence that `reminder` is due for has been checked off,
+ * which only stays the case for one-off reminders and ones that stopped repeating.
+ * @param {Reminder} reminder
+ */
+function is_reminder_done(reminder) {
+    return reminder.completions.some(({ due }) => due === reminder.time);
+}
+
+/**
+ * @param {Recurrence} recurrence
+ */
+function format_recurrence({ frequency, interval }) {
+    const unit = { daily: 'day', weekly: 'week', monthly: 'month' }[frequency];
+    return interval === 1 ? `Every ${unit}` : `Every ${interval} ${unit}s`;
+}
+
+/**
+ * Checks off the reminder `id` of `pet` and schedules its next occurrence.
+ * Medicine reminders log their dose as given instead.
+ * @param {Pet} pet
+ * @param {string} id
+ * @param {number} [now]
+ * @returns {Pet}
+ */
+function complete_reminder(pet, id, now = Date.now()) {
+    const reminder = pet.reminders.find(reminder => reminder.id === id);
+    if (reminder === undefined || is_reminder_done(reminder)) {
+        return pet;
+    }
+    if (reminder.medicine !== undefined) {
+        return with_medicine_reminders({
+            ...pet,
+            medicines: pet.medicines.map(medicine =>
+                medicine.id === reminder.medicine
+                    ? log_dose(medicine, 'given', now)
+                    : medicine
+            )
+        });
+    }
+    let time = reminder.time;
+    const { recurrence } = reminder;
+    if (recurrence !== null) {
+        // occurrences that passed without being checked off are skipped
+        let next = next_occurrence(time, recurrence);
+        while (next <= now) {
+            next = next_occurrence(next, recurrence);
+        }
+        if (recurrence.until === null || next <= recurrence.until) {
+            time = next;
+        }
+    }
+    return {
+        ...pet,
+        reminders: pet.reminders.map(item =>
+            item.id === id
+                ? {
+                      ...reminder,
+                      time,
+                      completions: [
+                          ...reminder.completions,
+                          { due: reminder.time, time: now }
+                      ]
+                  }
+                : item
+        )
+    };
+}
+
+/**
+ * A checkbox that checks off `reminder` of the pet `pet_id` when checked.
+ * Listen for `change` on an ancestor to handle it, see {@link on_reminder_checked}.
+ * @param {string} pet_id
+ * @param {Reminder} reminder
+ */
+function reminder_checkbox(pet_id, reminder) {
+    return element('input', {
+        type: 'checkbox',
+        className: 'complete-reminder',
+        'aria-label': `Mark ${reminder.type} as done`,
+        'data-pet': pet_id,
+        'data-reminder': reminder.id
+    });
+}
+
+/**
+ * Checks off reminders whose {@link reminder_checkbox checkbox}
+ * inside `container` gets checked.
+ * @param {HTMLElement} container
+ */
+function on_reminder_checked(container) {
+    on(container, 'change', e => {
+        const target = /** @type {HTMLElement} */ (e.target);
+        if (
+            !(target instanceof HTMLInputElement) ||
+            !target.matches('.complete-reminder') ||
+            !target.checked
+        ) {
+            return;
+        }
+        const { pet, reminder } = target.dataset;
+        update_pet(/** @type {string} */ (pet), current =>
+            complete_reminder(current, /** @type {string} */ (reminder))
+        );
+    });
+}
+
+/**
+ * Renders the upcoming `reminders` of a pet, grouped by day.
+ * `reminders` must already be sorted by time.
+ * @param {Pet} pet
+ * @param {Reminder[]} reminders
+ */
+function reminder_timeline(pet, reminders) {
+    /** @type {Map<string, Reminder[]>} */
+    const groups = new Map();
+    for (const reminder of reminders) {
+        const label = day_group(reminder.time);
+        const group = groups.get(label) ?? [];
+        group.push(reminder);
+        groups.set(label, group);
+    }
+    return element(
+        'section',
+        { className: 'pet-reminders' },
+        element('h3', null, element('a', { href: `/pet/${pet.id}` }, pet.name)),
+        ...[...groups].map(([label, group]) =>
+            element(
+                'div',
+                {
+                    className:
+                        label === 'Overdue'
+                            ? 'reminder-day overdue'
+                            : 'reminder-day'
+                },
+                element('h4', null, label),
+                element(
+                    'ul',
+                    null,
+                    ...group.map(reminder =>
+                        element(
+                            'li',
+                            null,
+                            reminder_checkbox(pet.id, reminder),
+                            element(
+                                'a',
+                                { href: `/pet/${pet.id}` },
+                                element(
+                                    'time',
+                                    {
+                                        dateTime: new Date(
+                                            reminder.time
+                                        ).toISOString()
+                                    },
+                                    format_reminder_time(reminder.time, label)
+                                ),
+                                element(
+                                    'span',
+                                    { className: 'type' },
+                                    reminder.type
+                                ),
+                                reminder.details === ''
+                                    ? null
+                                    : element(
+                                          'span',
+                                          { className: 'details' },
+                                          reminder.details
+                                      ),
+                                reminder.recurrence === null
+                                    ? null
+                                    : element(
+                                          'span',
+                                          { className: 'recurrence' },
+                                          format_recurrence(reminder.recurrence)
+                                      )
+                            )
+                        )
+                    )
+                )
+            )
+        )
+    );
+}
+
+page('/', () => {
+    const home_page = /** @type {HTMLTemplateElement} */ (
+        doc_query_selector(document, '.homepage')
+    );
+    const dashboard = /** @type {HTMLTemplateElement} */ (
+        doc_query_selector(document, '.dashboard')
+    );
+    const main = /** @type {HTMLElement} */ (
+        doc_query_selector(document, 'main')
+    );
+    if (user() !== null) {
+        document.title = `Dashboard — PawPal`;
         const fragment = /** @type {DocumentFragment} */ (
             dashboard.content.cloneNode(true)
         );
-        /** @type {Reminder[]} */
-        const reminders = [];
         const pets_carousel = /** @type {HTMLDivElement} */ (
             frag_query_selector(fragment, '.pets-carousel')
         );
         const pets = /** @type {User} */ (user()).pets;
-        const pets_len = pets.length;
-        for (
-            let index = 0, pet = pets[0];
-            index < pets_len;
-            pet = pets[++index]
-        ) {
+        for (const pet of pets) {
+            const icon = element('img');
+            set_image_src(icon, pet.images.icon);
             const pet_item = element(
                 'div',
                 {
                     className: 'pet-item'
                 },
-                element('img', {
-                    src: pet.images.icon
-                }),
+                icon,
                 element('p', null, pet.name)
             );
             const wrapper = element(
                 'a',
                 {
-                    href: `/pet/${index}`
+                    href: `/pet/${pet.id}`
                 },
                 pet_item
             );
             pets_carousel.append(wrapper);
-            reminders.push(...pet.reminders);
         }
         const reminders_list = /** @type {HTMLDivElement} */ (
             frag_query_selector(fragment, '.reminders')
         );
-        const sorted_reminders = pets
-            .map(({ reminders }, index) => ({
-                index,
-                reminders: reminders.toSorted((a, b) => a.time - b.time)
-            }))
-            .toSorted(
-                (a, b) =>
-                    (a.reminders[0]?.time ?? Infinity) -
-                    (b.reminders[0]?.time ?? Infinity)
-            );
         main.append(fragment);
+        on_reminder_checked(reminders_list);
+        let first_render = true;
+        page_effect(() => {
+            const u = user();
+            if (u === null) {
+                return;
+            }
+            // overdue reminders stay until they're checked off, like on mobile
+            const sorted_reminders = u.pets
+                .map(pet => ({
+                    pet,
+                    reminders: pet.reminders
+                        .filter(reminder => !is_reminder_done(reminder))
+                        .toSorted((a, b) => a.time - b.time)
+                }))
+                .filter(({ reminders }) => reminders.length > 0)
+                .toSorted((a, b) => a.reminders[0].time - b.reminders[0].time);
+            if (sorted_reminders.length === 0) {
+                reminders_list.replaceChildren(
+                    element(
+                        'p',
+                        { className: 'empty' },
+                        'No upcoming reminders'
+                    )
+                );
+            } else {
+                reminders_list.replaceChildren(
+                    ...sorted_reminders.map(({ pet, reminders }) =>
+                        reminder_timeline(pet, reminders)
+                    )
+                );
+            }
+            if (first_render) {
+                first_render = false;
+            } else {
+                // links rendered after `init` haven't been prefetched yet
+                prefetch_all_links();
+            }
+        });
     } else {
         main.append(home_page.content.cloneNode(true));
         main.style.setProperty('margin', '0');
@@ -1288,9 +2405,6 @@ page('/', () => {
 });
 
 page('/sign-up', async () => {
-    if (user() !== null) {
-        await goto('/');
-    }
     const form = /** @type {HTMLFormElement} */ (
         doc_query_selector(document, 'form')
     );
@@ -1300,205 +2414,3878 @@ page('/sign-up', async () => {
     const password = /** @type {HTMLInputElement} */ (
         doc_query_selector(document, 'input[type=password]')
     );
+    const error = /** @type {HTMLParagraphElement} */ (
+        doc_query_selector(document, '.error')
+    );
     on(form, 'submit', async e => {
-        if (email.validity.valid && password.validity.valid) {
-            set_user({
+        e.preventDefault();
+        if (!email.validity.valid || !password.validity.valid) {
+            return;
+        }
+        if (find_account(email.value) !== undefined) {
+            error.textContent =
+                'An account with this email already exists. Sign in instead.';
+            error.hidden = false;
+            return;
+        }
+        const weakness = password_weakness(password.value);
+        if (weakness !== '') {
+            error.textContent = weakness;
+            error.hidden = false;
+            return;
+        }
+        switch_account(
+            add_account({
                 email: email.value,
-                password: password.value,
+                credential: await create_credential(password.value),
                 profile_image: default_user_profile,
+                weight_unit: null,
                 pets: []
-            });
-            await goto('/', true);
-        }
-        e.preventDefault();
+            })
+        );
     });
 });
 
-page(['/settings', '/new-pet'], async () => {
-    if (user() === null) {
-        await goto('/sign-up', true);
-    }
-});
-
-page('/settings', async () => {
-    const confirm_delete = /** @type {HTMLButtonElement} */ (
-        doc_query_selector(document, '.delete-account-confirm')
-    );
-    const email_address = /** @type {HTMLParagraphElement} */ (
-        doc_query_selector(document, '.email-address')
+page('/sign-in', async () => {
+    const form = /** @type {HTMLFormElement} */ (
+        doc_query_selector(document, 'form')
     );
-    email_address.textContent = /** @type {User} */ (user()).email;
-    const profile = /** @type {HTMLImageElement} */ (
-        doc_query_selector(document, '.account-header > img')
+    const email = /** @type {HTMLInputElement} */ (
+        doc_query_selector(document, 'input[type=email]')
     );
-    profile.src = /** @type {User} */ (user()).profile_image;
-    const password_text = /** @type {HTMLParagraphElement} */ (
-        doc_query_selector(document, '.password > p')
+    const password = /** @type {HTMLInputElement} */ (
+        doc_query_selector(document, 'input[type=password]')
     );
-    password_text.textContent = /** @type {User} */ (user()).password.replace(
-        /./g,
-        '•'
+    const error = /** @type {HTMLParagraphElement} */ (
+        doc_query_selector(document, '.error')
     );
-    on(confirm_delete, 'click', async () => {
-        set_user(null);
-        await goto('/', true);
+    // the account switcher links to accounts that are signed out
+    email.value = new URLSearchParams(url().search).get('email') ?? '';
+    on(form, 'submit', async e => {
+        e.preventDefault();
+        if (!email.validity.valid || !password.validity.valid) {
+            return;
+        }
+        const account = find_account(email.value);
+        const data = account && read_user(account.id);
+        if (
+            account === undefined ||
+            !data ||
+            !(await verify_password(password.value, data.credential))
+        ) {
+            error.textContent = 'Incorrect email or password.';
+            error.hidden = false;
+            password.value = '';
+            return;
+        }
+        set_signed_in(account.id, true);
+        switch_account(account.id);
     });
 });
 
+page(['/settings', '/new-pet', '/new-reminder'], async () => {
+    if (user() === null) {
+        await goto(accounts().length === 0 ? '/sign-up' : '/sign-in', true);
+    }
+});
+
 /**
- * @param {File} file
+ * Shows `message` below `input`, or hides it if `message` is empty.
+ * @param {HTMLInputElement} input
+ * @param {string} message
  */
-function file_to_data_uri(file) {
-    const reader = new FileReader();
-    const promise = new Promise(resolve => {
+function set_field_error(input, message) {
+    const error = /** @type {HTMLElement} */ (input.nextElementSibling);
+    error.textContent = message;
+    error.hidden = message === '';
+    set_attribute(input, 'aria-invalid', `${message !== ''}`);
+}
+
+/** The version of the export format, which changes separately from {@link USER_VERSION}. */
+const EXPORT_VERSION = 1;
+const data_export_schema = v.object({
+    format: v.literal('pawpal'),
+    version: v.literal(EXPORT_VERSION),
+    user_version: v.pipe(v.number(), v.integer(), v.minValue(0)),
+    exported: v.number(),
+    user: v.unknown(),
+    images: v.record(
+        v.string(),
+        v.pipe(v.string(), v.startsWith('data:image/'))
+    )
+});
+/** @type {v.GenericSchema<unknown, DataExport['user']>} */
+const exported_user_schema = v.object({
+    email: account_entries.email,
+    profile_image: account_entries.profile_image,
+    weight_unit: v.nullable(unit_schema),
+    pets: v.array(pet_schema)
+});
+
+/**
+ * Returns the images that `user` refers to.
+ * @param {Pick<User, 'profile_image' | 'pets'>} user
+ */
+function user_images({ profile_image, pets }) {
+    return [
+        profile_image,
+        ...pets.flatMap(({ images }) => [images.icon, images.hero])
+    ];
+}
+
+/**
+ * @param {Blob} blob
+ * @returns {Promise<string>}
+ */
+function blob_to_data_uri(blob) {
+    return new Promise((resolve, reject) => {
+        const reader = new FileReader();
         add_event_listener(reader, 'load', () => {
-            resolve(reader.result);
+            resolve(/** @type {string} */ (reader.result));
+        });
+        add_event_listener(reader, 'error', () => {
+            reject(reader.error);
         });
-        reader.readAsDataURL(file);
+        reader.readAsDataURL(blob);
     });
-    return promise;
 }
 
-page('/new-pet', () => {
-    const form = /** @type {HTMLFormElement} */ (
-        doc_query_selector(document, 'form')
-    );
-    /**
-     * @param {string} input_name
-     */
-    function get_value(input_name) {
-        return /** @type {HTMLInputElement} */ (
-            doc_query_selector(document, `input[name=${input_name}]`)
+/**
+ * Exports `user` along with its stored images.
+ * @param {User} user
+ * @returns {Promise<DataExport>}
+ */
+async function export_data({ credential, ...user }) {
+    /** @type {Record<string, string>} */
+    const images = {};
+    for (const ref of user_images(user)) {
+        if (!ref.startsWith(IMAGE_REF_PREFIX) || ref in images) {
+            continue;
+        }
+        const blob = await with_image_store('readonly', store =>
+            store.get(ref)
         );
-    }
-    /**
-     * @param {string[]} inputs
-     */
-    function valid(...inputs) {
-        const elements = inputs.map(name => get_value(name));
-        return elements.every(element => element.validity.valid);
-    }
-    on(form, 'submit', async e => {
-        if (valid('name', 'breed', 'weight', 'age')) {
-            const species = /** @type {PetSpecies} */ (
-                /** @type {HTMLInputElement} */ (
-                    doc_query_selector(document, 'input[name=species]:checked')
-                ).value
-            );
-            const name = get_value('name').value;
-            const breed = get_value('breed').value;
-            const weight = get_value('weight').valueAsNumber;
-            const age = get_value('age').valueAsNumber;
-            const image = /** @type {FileList} */ (
-                /** @type {HTMLInputElement} */ (
-                    doc_query_selector(document, 'input[type=file]')
-                ).files
-            )[0];
-            const weight_unit = /** @type {Unit} */ (
-                /** @type {HTMLSelectElement} */ (
-                    doc_query_selector(document, 'select.weight-unit')
-                ).value
-            );
-            /** @type {Pet} */
-            const pet = {
-                name,
-                age,
-                species,
-                breed,
-                weight: {
-                    amount: weight,
-                    unit: weight_unit
-                },
-                images: {
-                    icon: await file_to_data_uri(image),
-                    hero: ''
-                },
-                reminders: [],
-                medicines: []
-            };
-            const pet_index = /** @type {User} */ (user()).pets.length;
-            set_user(
-                /** @type {(current: User | null) => User} */ (
-                    (/** @type {User} */ user) => ({
-                        ...user,
-                        pets: [...user.pets, pet]
-                    })
-                )
-            );
-            await goto(`/pet/${pet_index}`, true);
+        if (blob instanceof Blob) {
+            images[ref] = await blob_to_data_uri(blob);
         }
-        e.preventDefault();
-    });
-});
+    }
+    return {
+        format: 'pawpal',
+        version: EXPORT_VERSION,
+        user_version: USER_VERSION,
+        exported: Date.now(),
+        user,
+        images
+    };
+}
 
-page(/^\/pet\/[0-9]+$/, async () => {
-    const u = user();
-    if (u === null) {
-        // for some reason `await`ing a `Promise<never>` doesn't work as a type guard
-        // so we have to `return` it
-        return await render('/404');
+/**
+ * Imports the {@link export_data exported} `text` into `current`,
+ * either replacing its pets and preferences, or merging its pets
+ * into the current ones, where imported pets replace those with the same id.
+ * Throws an error with a message for the user if `text` isn't a valid export.
+ * The imported images are stored right away and returned as `stored_images`,
+ * which have to be deleted if the user can't be saved.
+ * `unused_images` can be deleted once it has been.
+ * @param {User} current
+ * @param {string} text
+ * @param {'merge' | 'replace'} mode
+ * @returns {Promise<{ user: User, stored_images: string[], unused_images: string[] }>}
+ */
+async function import_data(current, text, mode) {
+    /** @type {unknown} */
+    let data;
+    try {
+        data = JSON.parse(text);
+    } catch {
+        throw new Error("This file isn't a PawPal export.");
     }
-    const pet_index = Number(
-        url()
-            .pathname.replace(/^\/pet\//, '')
-            .replace(/[?/].+/, '')
-    );
-    if (pet_index !== pet_index || u.pets[pet_index] === undefined) {
-        return await render('/404');
+    const file = v.safeParse(data_export_schema, data);
+    if (!file.success) {
+        throw new Error("This file isn't a PawPal export.");
     }
-    const pet = u.pets[pet_index];
-    const age = /** @type {HTMLParagraphElement} */ (
-        doc_query_selector(document, '.age')
-    );
-    const breed = /** @type {HTMLParagraphElement} */ (
-        doc_query_selector(document, '.breed')
-    );
-    const name = /** @type {HTMLHeadingElement} */ (
-        doc_query_selector(document, '.pet-hero > h3')
-    );
-    age.textContent = `${pet.age} years old`;
-    breed.textContent = pet.breed;
-    name.textContent = pet.name;
-    const pet_hero = /** @type {HTMLDivElement} */ (
-        doc_query_selector(document, '.pet-hero')
-    );
-    pet_hero.classList.remove('skeleton');
-    const delete_pet = /** @type {HTMLButtonElement} */ (
-        doc_query_selector(document, '.delete-pet-confirm')
-    );
-    const edit_pet = /** @type {HTMLButtonElement} */ (
-        doc_query_selector(document, '.edit')
+    const { user_version, images } = file.output;
+    if (user_version > USER_VERSION) {
+        throw new Error(
+            'This file was exported by a newer version of PawPal. Update PawPal to import it.'
+        );
+    }
+    const result = v.safeParse(
+        exported_user_schema,
+        await migrate_user(user_version, file.output.user).catch(() => null)
     );
-    on(delete_pet, 'click', async () => {
-        set_user(current => {
-            if (current === null) {
-                return null;
-            }
-            return {
-                ...current,
-                pets: current.pets.filter(item => pet !== item)
-            };
-        });
-        await goto('/', true);
+    if (
+        !result.success ||
+        user_images(result.output).some(
+            ref => ref.startsWith(IMAGE_REF_PREFIX) && !(ref in images)
+        )
+    ) {
+        throw new Error(
+            "This file's data is damaged, so it can't be imported."
+        );
+    }
+    // merging keeps the current profile image
+    const needed = user_images({
+        profile_image: mode === 'replace' ? result.output.profile_image : '',
+        pets: result.output.pets
     });
-});
-
-// @ts-expect-error
-effect(async () => {
-    mobile();
-    url();
+    // images are stored under new references, so they can't clash with existing ones
+    /** @type {Map<string, string>} */
+    const refs = new Map();
     try {
-        if (mobile()) {
-            if (url().pathname.match(/^\/pet/)) {
-                await render(`/mobile/view-pet/${url().pathname.slice(5)}`);
-            } else if (url().pathname.match(/^\/new-reminder/)) {
-                await render(`/mobile/reminders`);
-            } else {
-                await render(`/mobile/${url().pathname.slice(1)}`);
+        for (const ref of needed) {
+            if (ref in images && !refs.has(ref)) {
+                const blob = await (await fetch(images[ref])).blob();
+                refs.set(ref, await store_image(blob));
             }
         }
-    } catch {}
-});
+    } catch {
+        await delete_images(...refs.values());
+        throw new Error("This file's pictures couldn't be imported.");
+    }
+    /** @param {string} ref */
+    const image = ref => refs.get(ref) ?? ref;
+    const imported = result.output.pets.map(pet => ({
+        ...pet,
+        images: { icon: image(pet.images.icon), hero: image(pet.images.hero) }
+    }));
+    /** @type {User} */
+    let user;
+    if (mode === 'replace') {
+        user = {
+            ...current,
+            weight_unit: result.output.weight_unit,
+            profile_image: image(result.output.profile_image),
+            pets: imported
+        };
+    } else {
+        const by_id = new Map(imported.map(pet => [pet.id, pet]));
+        user = {
+            ...current,
+            pets: [
+                ...current.pets.map(pet => by_id.get(pet.id) ?? pet),
+                ...imported.filter(
+                    pet => !current.pets.some(({ id }) => id === pet.id)
+                )
+            ]
+        };
+    }
+    const used = new Set(user_images(user));
+    return {
+        user,
+        stored_images: [...refs.values()],
+        unused_images: user_images(current).filter(ref => !used.has(ref))
+    };
+}
 
-await init();
-set_ready(true);
+/**
+ * Saves `blob` to the user's downloads as `filename`.
+ * @param {Blob} blob
+ * @param {string} filename
+ */
+function download(blob, filename) {
+    const href = URL.createObjectURL(blob);
+    element('a', { href, download: filename }).click();
+    // some browsers start downloads asynchronously, and revoking the url first would cancel them
+    setTimeout(() => {
+        URL.revokeObjectURL(href);
+    });
+}
+
+/**
+ * @param {string} text
+ */
+function escape_ics_text(text) {
+    return text.replace(/[\\;,]/g, '\\$&').replace(/\r?\n/g, '\\n');
+}
+
+/**
+ * @param {string} text
+ */
+function unescape_ics_text(text) {
+    return text.replace(/\\([\\;,nN])/g, (_, char) =>
+        char === 'n' || char === 'N' ? '\n' : char
+    );
+}
+
+/**
+ * Splits `line` into lines of at most 75 bytes, which continue with a space.
+ * @param {string} line
+ */
+function fold_ics_line(line) {
+    const encoder = new TextEncoder();
+    let folded = '';
+    let length = 0;
+    for (const char of line) {
+        const size = encoder.encode(char).length;
+        if (length + size > 75) {
+            folded += '\r\n ';
+            length = 1;
+        }
+        folded += char;
+        length += size;
+    }
+    return folded;
+}
+
+/**
+ * Formats `time` as a local date and time without a time zone,
+ * which calendars keep at the same time of day across daylight saving changes,
+ * just like {@link next_occurrence}.
+ * @param {number} time
+ */
+function format_ics_time(time) {
+    const date = new Date(time);
+    date.setMinutes(date.getMinutes() - date.getTimezoneOffset());
+    return date.toISOString().slice(0, 19).replace(/[-:]/g, '');
+}
+
+/**
+ * Returns the `RRULE` of `reminder`, or `null` if it's only due once.
+ * Medicine reminders repeat as often as their doses are due.
+ * @param {Pet} pet
+ * @param {Reminder} reminder
+ */
+function ics_rrule(pet, reminder) {
+    const medicine = pet.medicines.find(({ id }) => id === reminder.medicine);
+    if (medicine !== undefined) {
+        const frequency = { hour: 'HOURLY', day: 'DAILY', week: 'WEEKLY' }[
+            medicine.per.unit
+        ];
+        return `FREQ=${frequency};INTERVAL=${medicine.per.interval}`;
+    }
+    const { recurrence } = reminder;
+    if (recurrence === null) {
+        return null;
+    }
+    const until =
+        recurrence.until === null
+            ? ''
+            : `;UNTIL=${format_ics_time(recurrence.until)}`;
+    return `FREQ=${recurrence.frequency.toUpperCase()};INTERVAL=${recurrence.interval}${until}`;
+}
+
+/**
+ * Writes the reminders of `pets` that are still due as an iCalendar file,
+ * with an alarm for when each one is due.
+ * @param {Pet[]} pets
+ * @param {string} name the name of the calendar
+ * @param {number} [now]
+ */
+function export_ics(pets, name, now = Date.now()) {
+    const stamp = new Date(now).toISOString().replace(/[-:]|\.\d+/g, '');
+    const lines = [
+        'BEGIN:VCALENDAR',
+        'VERSION:2.0',
+        'PRODID:-//PawPal//Reminders//EN',
+        'CALSCALE:GREGORIAN',
+        `X-WR-CALNAME:${escape_ics_text(name)}`
+    ];
+    for (const pet of pets) {
+        for (const reminder of pet.reminders) {
+            if (is_reminder_done(reminder)) {
+                continue;
+            }
+            const summary = escape_ics_text(`${pet.name}: ${reminder.type}`);
+            const rule = ics_rrule(pet, reminder);
+            lines.push(
+                'BEGIN:VEVENT',
+                `UID:${reminder.id}`,
+                `DTSTAMP:${stamp}`,
+                `DTSTART:${format_ics_time(reminder.time)}`,
+                `SUMMARY:${summary}`,
+                // lets imports tell the type apart from the pet's name
+                `X-PAWPAL-TYPE:${escape_ics_text(reminder.type)}`,
+                ...(reminder.details === ''
+                    ? []
+                    : [`DESCRIPTION:${escape_ics_text(reminder.details)}`]),
+                ...(rule === null ? [] : [`RRULE:${rule}`]),
+                'BEGIN:VALARM',
+                'ACTION:DISPLAY',
+                `DESCRIPTION:${summary}`,
+                'TRIGGER:PT0S',
+                'END:VALARM',
+                'END:VEVENT'
+            );
+        }
+    }
+    lines.push('END:VCALENDAR');
+    return `${lines.map(fold_ics_line).join('\r\n')}\r\n`;
+}
+
+/**
+ * Returns the properties of each `VEVENT` in the iCalendar `text`,
+ * leaving out those of the components inside them, like alarms.
+ * Properties that appear more than once keep their first value.
+ * @param {string} text
+ */
+function parse_ics_events(text) {
+    /** @type {Array<Map<string, IcsProperty>>} */
+    const events = [];
+    /** @type {string[]} */
+    const components = [];
+    for (const line of text.replace(/\r?\n[ \t]/g, '').split(/\r?\n/)) {
+        // parameter values can contain colons if they're quoted
+        let quoted = false;
+        let colon = -1;
+        for (let i = 0; i < line.length; i++) {
+            if (line[i] === '"') {
+                quoted = !quoted;
+            } else if (line[i] === ':' && !quoted) {
+                colon = i;
+                break;
+            }
+        }
+        if (colon === -1) {
+            continue;
+        }
+        const [name, ...params] = line.slice(0, colon).split(';');
+        const value = line.slice(colon + 1);
+        switch (name.toUpperCase()) {
+            case 'BEGIN':
+                components.push(value.toUpperCase());
+                if (components.at(-1) === 'VEVENT') {
+                    events.push(new Map());
+                }
+                break;
+            case 'END':
+                components.pop();
+                break;
+            default: {
+                const event = events.at(-1);
+                if (
+                    components.at(-1) !== 'VEVENT' ||
+                    event === undefined ||
+                    event.has(name.toUpperCase())
+                ) {
+                    break;
+                }
+                event.set(name.toUpperCase(), {
+                    value,
+                    params: new Map(
+                        params.map(param => {
+                            const [key, ...rest] = param.split('=');
+                            return [
+                                key.toUpperCase(),
+                                rest.join('=').replace(/^"|"$/g, '')
+                            ];
+                        })
+                    )
+                });
+            }
+        }
+    }
+    return events;
+}
+
+/**
+ * Returns the time at the wall clock time `wall` in `time_zone`,
+ * where `wall` is that wall clock time as if it were UTC.
+ * Throws a `RangeError` if `time_zone` isn't an IANA time zone.
+ * @param {number} wall
+ * @param {string} time_zone
+ */
+function zoned_time(wall, time_zone) {
+    const format = new Intl.DateTimeFormat('en-US', {
+        timeZone: time_zone,
+        hourCycle: 'h23',
+        year: 'numeric',
+        month: 'numeric',
+        day: 'numeric',
+        hour: 'numeric',
+        minute: 'numeric',
+        second: 'numeric'
+    });
+    /** @param {number} time */
+    const offset = time => {
+        const parts = Object.fromEntries(
+            format
+                .formatToParts(time)
+                .map(({ type, value }) => [type, Number(value)])
+        );
+        return (
+            Date.UTC(
+                parts.year,
+                parts.month - 1,
+                parts.day,
+                parts.hour,
+                parts.minute,
+                parts.second
+            ) - time
+        );
+    };
+    // the offset can change between the guess and the actual time around daylight saving changes
+    return wall - offset(wall - offset(wall));
+}
+
+/**
+ * Parses an iCalendar date or date-time, where dates are the start of their day.
+ * Returns `null` if it isn't valid.
+ * @param {IcsProperty} property
+ */
+function parse_ics_time({ value, params }) {
+    const match = /^(\d{4})(\d{2})(\d{2})(?:T(\d{2})(\d{2})(\d{2})(Z?))?$/.exec(
+        value.trim()
+    );
+    if (match === null) {
+        return null;
+    }
+    const [year, month, day, hour, minute, second] = match
+        .slice(1, 7)
+        .map(part => Number(part ?? 0));
+    if (match[7] === 'Z') {
+        return Date.UTC(year, month - 1, day, hour, minute, second);
+    }
+    const time_zone = params.get('TZID');
+    if (time_zone !== undefined) {
+        try {
+            return zoned_time(
+                Date.UTC(year, month - 1, day, hour, minute, second),
+                time_zone
+            );
+        } catch {
+            // some apps use time zones that `Intl` doesn't know, which we read as local time
+        }
+    }
+    return new Date(year, month - 1, day, hour, minute, second).getTime();
+}
+
+/**
+ * Parses the `RRULE` of an event that starts at `start`, or returns `null`
+ * if reminders can't repeat that often. Parts like `BYDAY` are left out,
+ * so the reminder only repeats on the day of the week or month it starts on.
+ * @param {string} rule
+ * @param {number} start
+ * @returns {Recurrence | null}
+ */
+function parse_rrule(rule, start) {
+    const parts = new Map(
+        rule.split(';').map(part => {
+            const [key, value = ''] = part.split('=');
+            return [key.toUpperCase(), value];
+        })
+    );
+    const interval = Number(parts.get('INTERVAL') ?? 1);
+    if (!Number.isInteger(interval) || interval < 1) {
+        return null;
+    }
+    /** @type {Recurrence} */
+    let recurrence;
+    switch (parts.get('FREQ')?.toUpperCase()) {
+        case 'DAILY':
+            recurrence = { frequency: 'daily', interval, until: null, start };
+            break;
+        case 'WEEKLY':
+            recurrence = { frequency: 'weekly', interval, until: null, start };
+            break;
+        case 'MONTHLY':
+            recurrence = { frequency: 'monthly', interval, until: null, start };
+            break;
+        case 'YEARLY':
+            recurrence = {
+                frequency: 'monthly',
+                interval: interval * 12,
+                until: null,
+                start
+            };
+            break;
+        default:
+            return null;
+    }
+    const until = parts.get('UNTIL');
+    if (until !== undefined) {
+        const time = parse_ics_time({ value: until, params: new Map() });
+        // a date includes its whole day
+        recurrence.until =
+            time === null ? null : until.length === 8 ? time + DAY - 1 : time;
+    }
+    const count = Number(parts.get('COUNT'));
+    if (Number.isInteger(count) && count > 0) {
+        // skipping straight to the last occurrence avoids looping over every one
+        const last = next_occurrence(start, {
+            ...recurrence,
+            interval: recurrence.interval * (count - 1)
+        });
+        // counts so large that they end after the last possible date never end
+        if (!Number.isNaN(last)) {
+            recurrence.until = Math.min(recurrence.until ?? Infinity, last);
+        }
+    }
+    return recurrence;
+}
+
+/**
+ * Turns the events of the iCalendar `text` into reminders, starting at
+ * their first occurrence from `now` on. Events that are over are left out,
+ * and those that repeat in ways reminders can't, like hourly, only keep their first occurrence.
+ * Throws an error with a message for the user if there's nothing to import.
+ * @param {string} text
+ * @param {number} [now]
+ */
+function import_ics(text, now = Date.now()) {
+    if (!/^BEGIN:VCALENDAR/i.test(text.trimStart())) {
+        throw new Error("This file isn't a calendar.");
+    }
+    /** @type {Reminder[]} */
+    const reminders = [];
+    for (const event of parse_ics_events(text)) {
+        const start = event.get('DTSTART');
+        // changed or cancelled occurrences of repeating events are kept as their own events
+        if (
+            start === undefined ||
+            event.has('RECURRENCE-ID') ||
+            event.get('STATUS')?.value.toUpperCase() === 'CANCELLED'
+        ) {
+            continue;
+        }
+        let time = parse_ics_time(start);
+        if (time === null) {
+            continue;
+        }
+        const rule = event.get('RRULE');
+        const recurrence =
+            rule === undefined ? null : parse_rrule(rule.value, time);
+        if (recurrence !== null) {
+            while (time < now) {
+                time = next_occurrence(time, recurrence);
+            }
+        }
+        if (
+            time < now ||
+            (recurrence !== null &&
+                recurrence.until !== null &&
+                time > recurrence.until)
+        ) {
+            continue;
+        }
+        const type = event.get('X-PAWPAL-TYPE') ?? event.get('SUMMARY');
+        const details = event.get('DESCRIPTION');
+        reminders.push({
+            id: event.get('UID')?.value ?? crypto.randomUUID(),
+            type: type === undefined ? 'event' : unescape_ics_text(type.value),
+            time,
+            details:
+                details === undefined ? '' : unescape_ics_text(details.value),
+            recurrence,
+            completions: []
+        });
+    }
+    if (reminders.length === 0) {
+        throw new Error('This calendar has no upcoming events.');
+    }
+    return reminders;
+}
+
+/**
+ * Adds the `imported` reminders to the pet `pet_id` of `user`, where they replace
+ * those with the same id, which reminders exported from PawPal have.
+ * Medicine reminders are kept, since they follow their medicine's schedule,
+ * and reminders whose id another pet already uses get a new one,
+ * since ids have to be unique across pets.
+ * @param {User} user
+ * @param {string} pet_id
+ * @param {Reminder[]} imported
+ * @returns {User}
+ */
+function with_imported_reminders(user, pet_id, imported) {
+    const medicines = new Set(
+        (user.pets.find(pet => pet.id === pet_id)?.reminders ?? [])
+            .filter(reminder => reminder.medicine !== undefined)
+            .map(({ id }) => id)
+    );
+    const taken = new Set(
+        user.pets
+            .filter(pet => pet.id !== pet_id)
+            .flatMap(pet => pet.reminders.map(({ id }) => id))
+    );
+    const added = imported
+        .filter(({ id }) => !medicines.has(id))
+        .map(reminder =>
+            taken.has(reminder.id)
+                ? { ...reminder, id: crypto.randomUUID() }
+                : reminder
+        );
+    const ids = new Set(added.map(({ id }) => id));
+    return {
+        ...user,
+        pets: user.pets.map(pet =>
+            pet.id === pet_id
+                ? {
+                      ...pet,
+                      reminders: [
+                          ...pet.reminders.filter(({ id }) => !ids.has(id)),
+                          ...added
+                      ]
+                  }
+                : pet
+        )
+    };
+}
+
+page('/settings', async () => {
+    const weight_unit = /** @type {HTMLSelectElement} */ (
+        doc_query_selector(document, 'select.weight-unit')
+    );
+    page_effect(() => {
+        weight_unit.value = user()?.weight_unit ?? '';
+    });
+    on(weight_unit, 'change', () => {
+        const value = /** @type {Unit | ''} */ (weight_unit.value);
+        set_user(current =>
+            current === null
+                ? null
+                : { ...current, weight_unit: value === '' ? null : value }
+        );
+    });
+    const appearance_form = /** @type {HTMLFormElement} */ (
+        doc_query_selector(document, 'form.appearance-form')
+    );
+    const { elements } = appearance_form;
+    const accent = /** @type {HTMLInputElement} */ (
+        elements.namedItem('accent')
+    );
+    const font_size = /** @type {HTMLSelectElement} */ (
+        elements.namedItem('font-size')
+    );
+    const reset_accent = /** @type {HTMLButtonElement} */ (
+        doc_query_selector(document, '.reset-accent')
+    );
+    page_effect(() => {
+        const current = appearance();
+        /** @type {RadioNodeList} */ (elements.namedItem('theme')).value =
+            current.theme;
+        // the default accent is the color that buttons already use
+        accent.value = current.accent ?? '#3a3a78';
+        font_size.value = `${current.font_size}`;
+        reset_accent.disabled = current.accent === null;
+    });
+    on(appearance_form, 'input', e => {
+        const target = /** @type {HTMLInputElement | HTMLSelectElement} */ (
+            e.target
+        );
+        set_appearance(current => {
+            switch (target.name) {
+                case 'theme':
+                    return {
+                        ...current,
+                        theme: /** @type {Appearance['theme']} */ (target.value)
+                    };
+                case 'accent':
+                    return { ...current, accent: target.value };
+                case 'font-size':
+                    return { ...current, font_size: Number(target.value) };
+                default:
+                    return current;
+            }
+        });
+    });
+    on(reset_accent, 'click', () => {
+        set_appearance(current => ({ ...current, accent: null }));
+    });
+    const notification_status = /** @type {HTMLParagraphElement} */ (
+        doc_query_selector(document, '.notification-status')
+    );
+    const enable_notifications = /** @type {HTMLButtonElement} */ (
+        doc_query_selector(document, '.enable-notifications')
+    );
+    const snooze = /** @type {HTMLSelectElement} */ (
+        doc_query_selector(document, 'select#snooze')
+    );
+    page_effect(() => {
+        const permission = notification_permission();
+        notification_status.textContent = {
+            granted: "You'll be notified when reminders are due.",
+            default:
+                'Get notified when reminders are due, even in another tab.',
+            denied: "Notifications are blocked. Allow them in your browser's site settings to be notified of reminders.",
+            unsupported: "This browser doesn't support notifications."
+        }[permission];
+        enable_notifications.hidden = permission !== 'default';
+        snooze.disabled = permission !== 'granted';
+        snooze.value = `${notification_state().snooze}`;
+    });
+    on(enable_notifications, 'click', async () => {
+        set_notification_permission(await Notification.requestPermission());
+    });
+    on(snooze, 'change', () => {
+        set_notification_state(current => ({
+            ...current,
+            snooze: Number(snooze.value)
+        }));
+    });
+    const export_button = /** @type {HTMLButtonElement} */ (
+        doc_query_selector(document, '.export-data')
+    );
+    on(export_button, 'click', async () => {
+        export_button.disabled = true;
+        try {
+            const data = await export_data(/** @type {User} */ (user()));
+            const date = to_datetime_local(data.exported).slice(0, 10);
+            download(
+                new Blob([JSON.stringify(data)], { type: 'application/json' }),
+                `pawpal-${date}.json`
+            );
+        } finally {
+            export_button.disabled = false;
+        }
+    });
+    const import_dialog = /** @type {HTMLDialogElement} */ (
+        doc_query_selector(document, '#import-data')
+    );
+    const import_form = /** @type {HTMLFormElement} */ (
+        doc_query_selector(document, 'form.import-data')
+    );
+    const import_file = /** @type {HTMLInputElement} */ (
+        doc_query_selector(document, '#import-file')
+    );
+    on(import_dialog, 'close', () => {
+        import_form.reset();
+        set_field_error(import_file, '');
+    });
+    on(import_form, 'submit', async e => {
+        e.preventDefault();
+        const file = import_file.files?.[0];
+        if (file === undefined) {
+            set_field_error(import_file, 'Choose a file to import.');
+            return;
+        }
+        const mode = /** @type {'merge' | 'replace'} */ (
+            /** @type {RadioNodeList} */ (
+                import_form.elements.namedItem('mode')
+            ).value
+        );
+        /** @type {Awaited<ReturnType<typeof import_data>>} */
+        let result;
+        try {
+            result = await import_data(
+                /** @type {User} */ (user()),
+                await file.text(),
+                mode
+            );
+        } catch (error) {
+            set_field_error(import_file, /** @type {Error} */ (error).message);
+            return;
+        }
+        try {
+            set_user(result.user);
+        } catch {
+            // most likely because local storage is full
+            await delete_images(...result.stored_images);
+            set_field_error(
+                import_file,
+                "This file couldn't be saved, since there isn't enough storage left."
+            );
+            return;
+        }
+        await delete_images(...result.unused_images);
+        import_dialog.close();
+    });
+    const calendar_pet = /** @type {HTMLSelectElement} */ (
+        doc_query_selector(document, 'select#calendar-pet')
+    );
+    const export_calendar = /** @type {HTMLButtonElement} */ (
+        doc_query_selector(document, '.export-calendar')
+    );
+    const import_calendar_button = /** @type {HTMLButtonElement} */ (
+        doc_query_selector(document, '.import-calendar-button')
+    );
+    const calendar_dialog = /** @type {HTMLDialogElement} */ (
+        doc_query_selector(document, '#import-calendar')
+    );
+    const calendar_form = /** @type {HTMLFormElement} */ (
+        doc_query_selector(document, 'form.import-calendar')
+    );
+    const calendar_file = /** @type {HTMLInputElement} */ (
+        doc_query_selector(document, '#calendar-file')
+    );
+    const calendar_import_pet = /** @type {HTMLSelectElement} */ (
+        doc_query_selector(document, 'select#calendar-import-pet')
+    );
+    page_effect(() => {
+        const pets = user()?.pets ?? [];
+        for (const select of [calendar_pet, calendar_import_pet]) {
+            const { value } = select;
+            select.replaceChildren(
+                ...(select === calendar_pet
+                    ? [element('option', { value: '' }, 'All pets')]
+                    : []),
+                ...pets.map(pet =>
+                    element('option', { value: pet.id }, pet.name)
+                )
+            );
+            if ([...select.options].some(option => option.value === value)) {
+                select.value = value;
+            }
+        }
+        import_calendar_button.disabled = pets.length === 0;
+    });
+    on(export_calendar, 'click', () => {
+        const { pets } = /** @type {User} */ (user());
+        const pet = pets.find(({ id }) => id === calendar_pet.value);
+        const name = pet === undefined ? 'PawPal' : `PawPal: ${pet.name}`;
+        const date = to_datetime_local(Date.now()).slice(0, 10);
+        download(
+            new Blob([export_ics(pet === undefined ? pets : [pet], name)], {
+                type: 'text/calendar'
+            }),
+            `${pet === undefined ? 'pawpal' : `pawpal-${pet.name}`}-${date}.ics`
+        );
+    });
+    on(calendar_dialog, 'close', () => {
+        calendar_form.reset();
+        set_field_error(calendar_file, '');
+    });
+    on(calendar_form, 'submit', async e => {
+        e.preventDefault();
+        const file = calendar_file.files?.[0];
+        if (file === undefined) {
+            set_field_error(calendar_file, 'Choose a file to import.');
+            return;
+        }
+        try {
+            const reminders = import_ics(await file.text());
+            set_user(current =>
+                current === null
+                    ? null
+                    : with_imported_reminders(
+                          current,
+                          calendar_import_pet.value,
+                          reminders
+                      )
+            );
+        } catch (error) {
+            set_field_error(
+                calendar_file,
+                /** @type {Error} */ (error).message
+            );
+            return;
+        }
+        calendar_dialog.close();
+    });
+    const confirm_delete = /** @type {HTMLButtonElement} */ (
+        doc_query_selector(document, '.delete-account-confirm')
+    );
+    const email_address = /** @type {HTMLParagraphElement} */ (
+        doc_query_selector(document, '.email-address')
+    );
+    page_effect(() => {
+        email_address.textContent = user()?.email ?? '';
+    });
+    const email_dialog = /** @type {HTMLDialogElement} */ (
+        doc_query_selector(document, '#change-email')
+    );
+    const email_form = /** @type {HTMLFormElement} */ (
+        doc_query_selector(document, 'form.change-email')
+    );
+    const [new_email, email_password] =
+        /** @type {NodeListOf<HTMLInputElement>} */ (
+            email_form.querySelectorAll('input')
+        );
+    on(email_dialog, 'close', () => {
+        email_form.reset();
+        set_field_error(new_email, '');
+        set_field_error(email_password, '');
+    });
+    on(email_form, 'submit', async e => {
+        e.preventDefault();
+        const { email, credential } = /** @type {User} */ (user());
+        const existing = find_account(new_email.value);
+        set_field_error(
+            new_email,
+            !new_email.validity.valid
+                ? 'Enter a valid email address, like name@example.com.'
+                : new_email.value.toLowerCase() === email.toLowerCase()
+                  ? 'This is already your email address.'
+                  : existing !== undefined
+                    ? 'Another account on this device uses this email address.'
+                    : ''
+        );
+        set_field_error(
+            email_password,
+            email_password.value === '' ? 'Enter your password.' : ''
+        );
+        if (email_form.querySelector('[aria-invalid=true]') !== null) {
+            return;
+        }
+        if (!(await verify_password(email_password.value, credential))) {
+            set_field_error(email_password, 'Incorrect password.');
+            return;
+        }
+        set_user(current =>
+            current === null ? null : { ...current, email: new_email.value }
+        );
+        email_dialog.close();
+    });
+    const profile = /** @type {HTMLImageElement} */ (
+        doc_query_selector(document, '.account-header img')
+    );
+    page_effect(() => {
+        set_image_src(profile, user()?.profile_image ?? default_user_profile);
+    });
+    const profile_dialog = /** @type {HTMLDialogElement} */ (
+        doc_query_selector(document, '#profile-picture')
+    );
+    const profile_form = /** @type {HTMLFormElement} */ (
+        doc_query_selector(document, 'form.profile-picture')
+    );
+    const profile_picker = photo_picker(
+        /** @type {HTMLInputElement} */ (
+            profile_form.querySelector('input[type=file]')
+        ),
+        /** @type {HTMLDivElement} */ (profile_form.querySelector('.crops')),
+        {
+            profile: {
+                aspect: 1,
+                label: 'Profile picture',
+                width: PROFILE_IMAGE_SIZE
+            }
+        }
+    );
+    const reset_profile_image = /** @type {HTMLButtonElement} */ (
+        doc_query_selector(document, '.reset-profile-image')
+    );
+    page_effect(() => {
+        reset_profile_image.disabled =
+            user()?.profile_image === default_user_profile;
+    });
+    /**
+     * @param {string} profile_image
+     */
+    async function set_profile_image(profile_image) {
+        const previous = /** @type {User} */ (user()).profile_image;
+        set_user(current =>
+            current === null ? null : { ...current, profile_image }
+        );
+        await delete_images(previous);
+        profile_dialog.close();
+    }
+    on(profile_dialog, 'close', () => {
+        profile_form.reset();
+        profile_picker.reset();
+    });
+    on(profile_form, 'submit', async e => {
+        e.preventDefault();
+        const images = await profile_picker.encode();
+        if (images === null) {
+            return;
+        }
+        await set_profile_image(await store_image(images.profile));
+    });
+    on(reset_profile_image, 'click', async () => {
+        await set_profile_image(default_user_profile);
+    });
+    const password_text = /** @type {HTMLParagraphElement} */ (
+        doc_query_selector(document, '.password > p')
+    );
+    // only a hash of the password is stored
+    password_text.textContent = '••••••••';
+    const password_dialog = /** @type {HTMLDialogElement} */ (
+        doc_query_selector(document, '#change-password')
+    );
+    const password_form = /** @type {HTMLFormElement} */ (
+        doc_query_selector(document, 'form.change-password')
+    );
+    const [current_password, new_password, confirm_password] =
+        /** @type {NodeListOf<HTMLInputElement>} */ (
+            password_form.querySelectorAll('input')
+        );
+    on(password_dialog, 'close', () => {
+        password_form.reset();
+        for (const input of [
+            current_password,
+            new_password,
+            confirm_password
+        ]) {
+            set_field_error(input, '');
+        }
+    });
+    on(password_form, 'submit', async e => {
+        e.preventDefault();
+        const { credential } = /** @type {User} */ (user());
+        set_field_error(
+            current_password,
+            current_password.value === '' ? 'Enter your current password.' : ''
+        );
+        set_field_error(
+            new_password,
+            new_password.value === current_password.value &&
+                new_password.value !== ''
+                ? 'Choose a password different from your current one.'
+                : password_weakness(new_password.value)
+        );
+        set_field_error(
+            confirm_password,
+            confirm_password.value === new_password.value
+                ? ''
+                : "The passwords don't match."
+        );
+        if (password_form.querySelector('[aria-invalid=true]') !== null) {
+            return;
+        }
+        if (!(await verify_password(current_password.value, credential))) {
+            set_field_error(current_password, 'Incorrect password.');
+            return;
+        }
+        const updated = await create_credential(new_password.value);
+        set_user(current =>
+            current === null ? null : { ...current, credential: updated }
+        );
+        password_dialog.close();
+    });
+    on(confirm_delete, 'click', async () => {
+        const { pets, profile_image } = /** @type {User} */ (user());
+        const next = remove_account(/** @type {string} */ (active_account()));
+        await delete_images(
+            profile_image,
+            ...pets.flatMap(pet => [pet.images.icon, pet.images.hero])
+        );
+        switch_account(next);
+    });
+});
+
+/**
+ * Images are stored as blobs in IndexedDB, rather than as
+ * data URIs in `localStorage.user`, which would quickly fill up
+ * `localStorage` and would have to be reserialized on every `set_user`.
+ * `Pet.images` holds references to the stored images, which start with `image:`.
+ */
+const IMAGE_REF_PREFIX = 'image:';
+
+/** @type {Promise<IDBDatabase> | null} */
+let image_db = null;
+
+function open_image_db() {
+    return (image_db ??= new Promise((resolve, reject) => {
+        const request = indexedDB.open('pawpal', 1);
+        add_event_listener(request, 'upgradeneeded', () => {
+            request.result.createObjectStore('images');
+        });
+        add_event_listener(request, 'success', () => {
+            resolve(request.result);
+        });
+        add_event_listener(request, 'error', () => {
+            reject(request.error);
+        });
+    }));
+}
+
+/**
+ * Runs `fn` with the image object store and resolves with the result of its request.
+ * @template T
+ * @param {IDBTransactionMode} mode
+ * @param {(store: IDBObjectStore) => IDBRequest<T>} fn
+ * @returns {Promise<T>}
+ */
+async function with_image_store(mode, fn) {
+    const db = await open_image_db();
+    return new Promise((resolve, reject) => {
+        const request = fn(
+            db.transaction('images', mode).objectStore('images')
+        );
+        add_event_listener(request, 'success', () => {
+            resolve(request.result);
+        });
+        add_event_listener(request, 'error', () => {
+            reject(request.error);
+        });
+    });
+}
+
+/**
+ * Stores `blob` and returns a reference to it.
+ * @param {Blob} blob
+ */
+async function store_image(blob) {
+    const ref = IMAGE_REF_PREFIX + crypto.randomUUID();
+    await with_image_store('readwrite', store => store.put(blob, ref));
+    return ref;
+}
+
+/** @type {Map<string, Promise<string>>} */
+const image_urls = new Map();
+
+/**
+ * Resolves an image reference to a URL that can be used as an `<img>`'s `src`.
+ * Anything that isn't a reference (e.g. a data URI) is returned as-is.
+ * @param {string} ref
+ * @returns {Promise<string>}
+ */
+function load_image(ref) {
+    if (!ref.startsWith(IMAGE_REF_PREFIX)) {
+        return Promise.resolve(ref);
+    }
+    let url = image_urls.get(ref);
+    if (url === undefined) {
+        url = with_image_store('readonly', store => store.get(ref)).then(
+            blob => (blob instanceof Blob ? URL.createObjectURL(blob) : '')
+        );
+        image_urls.set(ref, url);
+    }
+    return url;
+}
+
+/**
+ * Sets the `src` of `image` once `ref` has loaded.
+ * @param {HTMLImageElement} image
+ * @param {string} ref
+ */
+async function set_image_src(image, ref) {
+    image.src = await load_image(ref);
+}
+
+/**
+ * Deletes the stored images that `refs` refer to.
+ * @param {string[]} refs
+ */
+async function delete_images(...refs) {
+    for (const ref of refs) {
+        if (!ref.startsWith(IMAGE_REF_PREFIX)) {
+            continue;
+        }
+        const url = image_urls.get(ref);
+        image_urls.delete(ref);
+        await with_image_store('readwrite', store => store.delete(ref));
+        if (url !== undefined) {
+            URL.revokeObjectURL(await url);
+        }
+    }
+}
+
+/**
+ * Moves images that were stored as data URIs in `localStorage.user`
+ * by older versions of PawPal into IndexedDB.
+ */
+async function move_images_to_db() {
+    const u = untrack(user);
+    if (u === null) {
+        return;
+    }
+    /** @type {Map<string, string>} */
+    const moved = new Map();
+    for (const { images } of u.pets) {
+        for (const uri of [images.icon, images.hero]) {
+            if (uri.startsWith('data:') && !moved.has(uri)) {
+                const blob = await (await fetch(uri)).blob();
+                moved.set(uri, await store_image(blob));
+            }
+        }
+    }
+    if (moved.size === 0) {
+        return;
+    }
+    set_user(current => {
+        if (current === null) {
+            return null;
+        }
+        return {
+            ...current,
+            pets: current.pets.map(pet => ({
+                ...pet,
+                images: {
+                    icon: moved.get(pet.images.icon) ?? pet.images.icon,
+                    hero: moved.get(pet.images.hero) ?? pet.images.hero
+                }
+            }))
+        };
+    });
+}
+
+/**
+ * @param {ParentNode} form
+ * @param {string} input_name
+ */
+function pet_field(form, input_name) {
+    return /** @type {HTMLInputElement} */ (
+        form.querySelector(`input[name=${input_name}]`)
+    );
+}
+
+/**
+ * Reads the pet profile fields shared by the new pet form
+ * and the edit pet form, or returns `null` if any of them are invalid.
+ * @param {ParentNode} form
+ */
+function read_pet_fields(form) {
+    const inputs = ['name', 'breed', 'weight', 'age'].map(name =>
+        pet_field(form, name)
+    );
+    if (!inputs.every(input => input.validity.valid)) {
+        return null;
+    }
+    const species = /** @type {PetSpecies} */ (
+        /** @type {HTMLInputElement} */ (
+            form.querySelector('input[name=species]:checked')
+        ).value
+    );
+    const weight_unit = /** @type {Unit} */ (
+        /** @type {HTMLSelectElement} */ (
+            form.querySelector('select.weight-unit')
+        ).value
+    );
+    return {
+        species,
+        name: pet_field(form, 'name').value,
+        breed: pet_field(form, 'breed').value,
+        age: pet_field(form, 'age').valueAsNumber,
+        weight: {
+            amount: pet_field(form, 'weight').valueAsNumber,
+            unit: weight_unit
+        }
+    };
+}
+
+/**
+ * Fills the pet profile fields in `form` with the data of `pet`.
+ * @param {ParentNode} form
+ * @param {Pet} pet
+ */
+function fill_pet_fields(form, pet) {
+    /** @type {HTMLInputElement} */ (
+        form.querySelector(`input[name=species][value=${pet.species}]`)
+    ).checked = true;
+    pet_field(form, 'name').value = pet.name;
+    pet_field(form, 'breed').value = pet.breed;
+    pet_field(form, 'age').valueAsNumber = pet.age;
+    pet_field(form, 'weight').valueAsNumber = pet.weight.amount;
+    /** @type {HTMLSelectElement} */ (
+        form.querySelector('select.weight-unit')
+    ).value = pet.weight.unit;
+    /** @type {HTMLInputElement} */ (
+        form.querySelector('input[type=file]')
+    ).value = '';
+}
+
+/** The size of pet icons, which are square. */
+const ICON_SIZE = 512;
+/** The aspect ratio of `.pet-hero`. */
+const HERO_ASPECT = 5;
+const HERO_WIDTH = 2000;
+/** The maximum size of the canvas that crops are picked on. */
+const CROPPER_SIZE = 320;
+/** The size of profile pictures, which are square. */
+const PROFILE_IMAGE_SIZE = 256;
+
+/**
+ * The crops that are picked for a pet's photo.
+ * @satisfies {Record<string, CropSpec>}
+ */
+const PET_CROPS = {
+    icon: { aspect: 1, label: 'Icon', width: ICON_SIZE },
+    hero: { aspect: HERO_ASPECT, label: 'Banner', width: HERO_WIDTH }
+};
+
+/**
+ * Creates a canvas that lets the user pick a crop of `bitmap`
+ * with the specified `aspect` ratio (width / height)
+ * by dragging the crop around and zooming it with a slider.
+ * @param {ImageBitmap} bitmap
+ * @param {number} aspect
+ * @param {string} label
+ */
+function cropper(bitmap, aspect, label) {
+    const { width, height } = bitmap;
+    const scale = Math.min(CROPPER_SIZE / width, CROPPER_SIZE / height);
+    const canvas = element('canvas', {
+        width: Math.round(width * scale),
+        height: Math.round(height * scale)
+    });
+    const context = /** @type {CanvasRenderingContext2D} */ (
+        canvas.getContext('2d')
+    );
+    const zoom = element('input', {
+        type: 'range',
+        min: '0.2',
+        max: '1',
+        step: '0.01',
+        value: '1',
+        ariaLabel: `${label} zoom`
+    });
+    /** the width of the largest crop that fits in the image */
+    const max_width = Math.min(width, height * aspect);
+    /**
+     * @param {Crop} crop
+     * @returns {Crop}
+     */
+    function clamp(crop) {
+        return {
+            ...crop,
+            x: Math.min(Math.max(crop.x, 0), width - crop.width),
+            y: Math.min(Math.max(crop.y, 0), height - crop.height)
+        };
+    }
+    const [crop, set_crop] = signal(
+        clamp({
+            x: (width - max_width) / 2,
+            y: (height - max_width / aspect) / 2,
+            width: max_width,
+            height: max_width / aspect
+        })
+    );
+    page_effect(() => {
+        const { x, y, width, height } = crop();
+        context.drawImage(bitmap, 0, 0, canvas.width, canvas.height);
+        context.beginPath();
+        context.rect(0, 0, canvas.width, canvas.height);
+        context.rect(x * scale, y * scale, width * scale, height * scale);
+        context.fillStyle = '#0009';
+        context.fill('evenodd');
+        context.strokeStyle = '#fff';
+        context.lineWidth = 2;
+        context.strokeRect(x * scale, y * scale, width * scale, height * scale);
+    });
+    on(zoom, 'input', () => {
+        set_crop(current => {
+            const width = max_width * zoom.valueAsNumber;
+            const height = width / aspect;
+            // zoom around the center of the current crop
+            return clamp({
+                x: current.x + (current.width - width) / 2,
+                y: current.y + (current.height - height) / 2,
+                width,
+                height
+            });
+        });
+    });
+    /** @type {{ x: number; y: number } | null} */
+    let drag = null;
+    on(canvas, 'pointerdown', e => {
+        canvas.setPointerCapture(e.pointerId);
+        drag = { x: e.clientX, y: e.clientY };
+    });
+    on(canvas, 'pointermove', e => {
+        if (drag === null) {
+            return;
+        }
+        // the canvas may be displayed at a different size than its resolution
+        const ratio = canvas.width / canvas.clientWidth / scale;
+        const dx = (e.clientX - drag.x) * ratio;
+        const dy = (e.clientY - drag.y) * ratio;
+        drag = { x: e.clientX, y: e.clientY };
+        set_crop(current =>
+            clamp({ ...current, x: current.x + dx, y: current.y + dy })
+        );
+    });
+    for (const event of /** @type {const} */ (['pointerup', 'pointercancel'])) {
+        on(canvas, event, () => {
+            drag = null;
+        });
+    }
+    return {
+        element: element(
+            'figure',
+            { className: 'cropper' },
+            canvas,
+            zoom,
+            element('figcaption', null, label)
+        ),
+        crop
+    };
+}
+
+/**
+ * Draws the `crop` of `bitmap`, scaled down to be at most `max_width` wide,
+ * and encodes it as WebP.
+ * @param {ImageBitmap} bitmap
+ * @param {Crop} crop
+ * @param {number} max_width
+ * @returns {Promise<Blob>}
+ */
+function encode_crop(bitmap, { x, y, width, height }, max_width) {
+    const scale = Math.min(1, max_width / width);
+    const canvas = element('canvas', {
+        width: Math.round(width * scale),
+        height: Math.round(height * scale)
+    });
+    /** @type {CanvasRenderingContext2D} */ (canvas.getContext('2d')).drawImage(
+        bitmap,
+        x,
+        y,
+        width,
+        height,
+        0,
+        0,
+        canvas.width,
+        canvas.height
+    );
+    return new Promise((resolve, reject) => {
+        canvas.toBlob(
+            blob => {
+                if (blob === null) {
+                    reject(new Error('Failed to encode image'));
+                } else {
+                    resolve(blob);
+                }
+            },
+            'image/webp',
+            0.85
+        );
+    });
+}
+
+/**
+ * Decodes the image picked in `input` and shows
+ * a cropper in `container` for each of `crops`.
+ * @template {string} K
+ * @param {HTMLInputElement} input
+ * @param {HTMLElement} container
+ * @param {Record<K, CropSpec>} crops
+ */
+function photo_picker(input, container, crops) {
+    const specs = /** @type {Array<[K, CropSpec]>} */ (Object.entries(crops));
+    /** @type {{ bitmap: ImageBitmap; crops: Array<[K, () => Crop]> } | null} */
+    let picked = null;
+    function reset() {
+        picked?.bitmap.close();
+        picked = null;
+        container.replaceChildren();
+        container.hidden = true;
+    }
+    on(input, 'change', async () => {
+        const file = input.files?.[0];
+        reset();
+        if (file === undefined) {
+            return;
+        }
+        container.hidden = false;
+        /** @type {ImageBitmap} */
+        let bitmap;
+        try {
+            bitmap = await createImageBitmap(file);
+        } catch {
+            container.append(
+                element(
+                    'p',
+                    { className: 'error' },
+                    "This image couldn't be read. Try another one."
+                )
+            );
+            return;
+        }
+        picked = { bitmap, crops: [] };
+        for (const [key, { aspect, label }] of specs) {
+            const { element: figure, crop } = cropper(bitmap, aspect, label);
+            container.append(figure);
+            picked.crops.push([key, crop]);
+        }
+    });
+    return {
+        reset,
+        /**
+         * Encodes the picked crops, or returns `null` if no image has been picked.
+         */
+        async encode() {
+            if (picked === null) {
+                return null;
+            }
+            const { bitmap } = picked;
+            const encoded = await Promise.all(
+                picked.crops.map(async ([key, crop]) => [
+                    key,
+                    await encode_crop(bitmap, crop(), crops[key].width)
+                ])
+            );
+            return /** @type {Record<K, Blob>} */ (Object.fromEntries(encoded));
+        }
+    };
+}
+
+page('/new-pet', () => {
+    const form = /** @type {HTMLFormElement} */ (
+        doc_query_selector(document, 'form')
+    );
+    const picker = photo_picker(
+        /** @type {HTMLInputElement} */ (
+            doc_query_selector(document, 'input[type=file]')
+        ),
+        /** @type {HTMLDivElement} */ (doc_query_selector(document, '.crops')),
+        PET_CROPS
+    );
+    on(form, 'submit', async e => {
+        e.preventDefault();
+        const profile = read_pet_fields(form);
+        if (profile === null) {
+            return;
+        }
+        const images = await picker.encode();
+        /** @type {Pet} */
+        const pet = {
+            id: crypto.randomUUID(),
+            ...profile,
+            // pets without a photo are shown with their species' icon and the default hero
+            images:
+                images === null
+                    ? { icon: `/assets/${profile.species}.svg`, hero: '' }
+                    : {
+                          icon: await store_image(images.icon),
+                          hero: await store_image(images.hero)
+                      },
+            weights: [{ time: Date.now(), ...profile.weight }],
+            reminders: [],
+            medicines: [],
+            activities: []
+        };
+        set_user(
+            /** @type {(current: User | null) => User} */ (
+                (/** @type {User} */ user) => ({
+                    ...user,
+                    pets: [...user.pets, pet]
+                })
+            )
+        );
+        await goto(`/pet/${pet.id}`, true);
+    });
+});
+
+/**
+ * Formats `time` for use as the value of an `<input type="datetime-local">`.
+ * @param {number} time
+ */
+function to_datetime_local(time) {
+    const date = new Date(time);
+    date.setMinutes(date.getMinutes() - date.getTimezoneOffset());
+    return date.toISOString().slice(0, 16);
+}
+
+page('/new-reminder', async () => {
+    const { pets } = /** @type {User} */ (user());
+    if (pets.length === 0) {
+        await goto('/new-pet');
+    }
+    const form = /** @type {HTMLFormElement} */ (
+        doc_query_selector(document, 'form')
+    );
+    const heading = /** @type {HTMLHeadingElement} */ (
+        doc_query_selector(document, 'main > h2')
+    );
+    const pet_select = /** @type {HTMLSelectElement} */ (
+        doc_query_selector(document, 'select.pet')
+    );
+    const type = /** @type {HTMLSelectElement} */ (
+        doc_query_selector(document, 'select.type')
+    );
+    const details = /** @type {HTMLTextAreaElement} */ (
+        doc_query_selector(document, 'textarea[name=details]')
+    );
+    const time = /** @type {HTMLInputElement} */ (
+        doc_query_selector(document, 'input[name=time]')
+    );
+    const frequency = /** @type {HTMLSelectElement} */ (
+        doc_query_selector(document, 'select.frequency')
+    );
+    const custom_interval = /** @type {HTMLDivElement} */ (
+        doc_query_selector(document, '.custom-interval')
+    );
+    const interval = /** @type {HTMLInputElement} */ (
+        doc_query_selector(document, 'input.interval')
+    );
+    const interval_unit = /** @type {HTMLSelectElement} */ (
+        doc_query_selector(document, 'select.interval-unit')
+    );
+    const until_row = /** @type {HTMLDivElement} */ (
+        doc_query_selector(document, '.until')
+    );
+    const until = /** @type {HTMLInputElement} */ (
+        doc_query_selector(document, 'input[name=until]')
+    );
+    for (const pet of pets) {
+        pet_select.append(element('option', { value: pet.id }, pet.name));
+    }
+    const preselected = new URLSearchParams(url().search).get('pet');
+    if (pets.some(pet => pet.id === preselected)) {
+        pet_select.value = /** @type {string} */ (preselected);
+    }
+    const update_heading = () => {
+        heading.textContent = `Create a Reminder for ${
+            /** @type {Pet} */ (pets.find(pet => pet.id === pet_select.value))
+                .name
+        }`;
+    };
+    update_heading();
+    on(pet_select, 'change', update_heading);
+    time.min = to_datetime_local(Date.now());
+    on(time, 'input', () => {
+        time.setCustomValidity('');
+    });
+    until.min = to_datetime_local(Date.now()).slice(0, 10);
+    on(until, 'input', () => {
+        until.setCustomValidity('');
+    });
+    on(frequency, 'change', () => {
+        custom_interval.hidden = frequency.value !== 'custom';
+        // hidden fields would still block submitting if they were invalid
+        interval.disabled = custom_interval.hidden;
+        until_row.hidden = frequency.value === '';
+        until.disabled = until_row.hidden;
+    });
+    on(form, 'submit', async e => {
+        e.preventDefault();
+        const pet_id = pet_select.value;
+        // `valueAsNumber` treats the local time as UTC, so we parse it ourselves
+        const timestamp = new Date(time.value).getTime();
+        if (timestamp !== timestamp) {
+            time.setCustomValidity('Please choose a date and time.');
+        } else if (timestamp < Date.now()) {
+            time.setCustomValidity('Reminders must be in the future.');
+        } else {
+            time.setCustomValidity('');
+        }
+        // the last day is included, so the reminder stops repeating at its end
+        const end =
+            until.disabled || until.value === ''
+                ? null
+                : new Date(`${until.value}T23:59:59.999`).getTime();
+        if (end !== null && end < timestamp) {
+            until.setCustomValidity(
+                'Reminders must repeat until after they start.'
+            );
+        } else {
+            until.setCustomValidity('');
+        }
+        if (
+            !form.reportValidity() ||
+            ![...type.options].some(option => option.value === type.value)
+        ) {
+            return;
+        }
+        /** @type {Recurrence | null} */
+        const recurrence =
+            frequency.value === ''
+                ? null
+                : {
+                      frequency: /** @type {Recurrence['frequency']} */ (
+                          frequency.value === 'custom'
+                              ? interval_unit.value
+                              : frequency.value
+                      ),
+                      interval:
+                          frequency.value === 'custom'
+                              ? interval.valueAsNumber
+                              : 1,
+                      until: end,
+                      start: timestamp
+                  };
+        /** @type {Reminder} */
+        const reminder = {
+            id: crypto.randomUUID(),
+            type: type.value,
+            time: timestamp,
+            details: details.value.trim(),
+            recurrence,
+            completions: []
+        };
+        set_user(current => {
+            if (current === null) {
+                return null;
+            }
+            return {
+                ...current,
+                pets: current.pets.map(pet =>
+                    pet.id === pet_id
+                        ? { ...pet, reminders: [...pet.reminders, reminder] }
+                        : pet
+                )
+            };
+        });
+        await goto(`/pet/${pet_id}`, true);
+    });
+});
+
+// rendered instead of `/new-reminder` on mobile
+page('/mobile/reminders', () => {
+    const list = /** @type {HTMLDivElement} */ (
+        doc_query_selector(document, '.reminder-list')
+    );
+    on_reminder_checked(list);
+    page_effect(() => {
+        const pets = user()?.pets ?? [];
+        const pending = pets
+            .flatMap(pet =>
+                pet.reminders
+                    .filter(reminder => !is_reminder_done(reminder))
+                    .map(reminder => ({ pet, reminder }))
+            )
+            .toSorted((a, b) => a.reminder.time - b.reminder.time);
+        if (pending.length === 0) {
+            list.replaceChildren(
+                element('p', { className: 'empty' }, 'No reminders')
+            );
+            return;
+        }
+        list.replaceChildren(
+            ...pending.map(({ pet, reminder }) =>
+                element(
+                    'label',
+                    { className: 'reminder-item' },
+                    element(
+                        'span',
+                        null,
+                        `${pet.name}: `,
+                        element('span', { className: 'type' }, reminder.type),
+                        element(
+                            'small',
+                            null,
+                            format_date_time(reminder.time),
+                            reminder.recurrence === null
+                                ? ''
+                                : ` · ${format_recurrence(reminder.recurrence)}`
+                        )
+                    ),
+                    reminder_checkbox(pet.id, reminder)
+                )
+            )
+        );
+    });
+});
+
+// rendered instead of `/pet/:id` on mobile, where the id is still in the path
+page(['/mobile/view-pet', '/mobile/view-pet/'], async () => {
+    const u = user();
+    if (u === null) {
+        return await render('/404');
+    }
+    const pet_id =
+        new URLSearchParams(url().search).get('id') ??
+        pet_id_from_path(url().pathname);
+    if (!u.pets.some(pet => pet.id === pet_id)) {
+        return await render('/404');
+    }
+    const icon = /** @type {HTMLImageElement} */ (
+        doc_query_selector(document, '.dog-profile img')
+    );
+    const name = /** @type {HTMLHeadingElement} */ (
+        doc_query_selector(document, '.pet-hero-skeleton .name')
+    );
+    const age = /** @type {HTMLSpanElement} */ (
+        doc_query_selector(document, '.pet-info .age')
+    );
+    const breed = /** @type {HTMLSpanElement} */ (
+        doc_query_selector(document, '.pet-info .breed')
+    );
+    const weight = /** @type {HTMLSpanElement} */ (
+        doc_query_selector(document, '.pet-info .weight')
+    );
+    const reminders = /** @type {HTMLUListElement} */ (
+        doc_query_selector(document, '.pet-info .reminders')
+    );
+    const exit = /** @type {HTMLButtonElement} */ (
+        doc_query_selector(document, 'button.exit')
+    );
+    const details = /** @type {HTMLButtonElement} */ (
+        doc_query_selector(document, 'button.details')
+    );
+    on_reminder_checked(reminders);
+    page_effect(() => {
+        const pet = user()?.pets.find(pet => pet.id === pet_id);
+        if (pet === undefined) {
+            return;
+        }
+        document.title = `${pet.name} — PawPal`;
+        name.textContent = pet.name;
+        age.textContent = `${pet.age} years old`;
+        breed.textContent = pet.breed;
+        weight.textContent = format_weight(
+            pet.weight,
+            user()?.weight_unit ?? null
+        );
+        icon.alt = pet.name;
+        load_image(pet.images.icon).then(src => {
+            icon.src = src;
+        });
+        const pending = pet.reminders
+            .filter(reminder => !is_reminder_done(reminder))
+            .toSorted((a, b) => a.time - b.time);
+        reminders.replaceChildren(
+            ...(pending.length === 0
+                ? [element('li', { className: 'empty' }, 'No reminders')]
+                : pending.map(reminder =>
+                      element(
+                          'li',
+                          null,
+                          element(
+                              'label',
+                              null,
+                              reminder_checkbox(pet.id, reminder),
+                              `${reminder.type} · ${format_date_time(reminder.time)}`
+                          )
+                      )
+                  ))
+        );
+    });
+    on(exit, 'click', async () => {
+        await goto('/');
+    });
+    // the summary isn't replaced on mobile, so it doubles as the detailed view
+    on(details, 'click', async () => {
+        await goto(`/pet/${pet_id}/summary`);
+    });
+});
+
+/**
+ * Updates the current user's pet `pet_id` with `fn`.
+ * @param {string} pet_id
+ * @param {(pet: Pet) => Pet} fn
+ */
+function update_pet(pet_id, fn) {
+    set_user(current => {
+        if (current === null) {
+            return null;
+        }
+        return {
+            ...current,
+            pets: current.pets.map(pet => (pet.id === pet_id ? fn(pet) : pet))
+        };
+    });
+}
+
+const HOUR = 60 * 60 * 1000;
+/** How long each unit that medicines can be given per is. */
+const MEDICINE_UNITS = { hour: HOUR, day: DAY, week: 7 * DAY };
+
+/**
+ * Returns the time between doses of `medicine`.
+ * @param {Medicine} medicine
+ */
+function dose_period(medicine) {
+    return medicine.per.interval * MEDICINE_UNITS[medicine.per.unit];
+}
+
+/**
+ * Returns when the first dose of `medicine` that hasn't been logged was due.
+ * Doses are due every `dose_period` from `medicine.start`.
+ * @param {Medicine} medicine
+ */
+function first_unlogged_dose(medicine) {
+    const last = medicine.doses.at(-1);
+    if (last === undefined) {
+        return medicine.start;
+    }
+    const period = dose_period(medicine);
+    return (
+        medicine.start +
+        Math.max(0, Math.floor((last.due - medicine.start) / period) + 1) *
+            period
+    );
+}
+
+/**
+ * Returns when the next dose of `medicine` that hasn't been logged is due.
+ * If doses were missed, only the latest of them is due,
+ * since giving all of them at once would be an overdose.
+ * @param {Medicine} medicine
+ * @param {number} [now]
+ */
+function next_dose(medicine, now = Date.now()) {
+    const next = first_unlogged_dose(medicine);
+    if (next > now) {
+        return next;
+    }
+    const period = dose_period(medicine);
+    return (
+        medicine.start + Math.floor((now - medicine.start) / period) * period
+    );
+}
+
+/**
+ * Returns the earliest time that missed doses are logged from,
+ * which is as far back as adherence is scored,
+ * so that doses missed long ago don't all have to be stored.
+ * @param {number} now
+ */
+function missed_doses_since(now) {
+    return now - ADHERENCE_WEEKS * 7 * DAY;
+}
+
+/**
+ * Returns when each dose of `medicine` that was missed before
+ * its next dose was due, since {@link missed_doses_since}.
+ * These are logged as skipped when the next dose is logged.
+ * @param {Medicine} medicine
+ * @param {number} [now]
+ */
+function missed_doses(medicine, now = Date.now()) {
+    const period = dose_period(medicine);
+    const due = next_dose(medicine, now);
+    const first = first_unlogged_dose(medicine);
+    const since = missed_doses_since(now);
+    const missed = [];
+    for (
+        let time =
+            first < since
+                ? first + Math.ceil((since - first) / period) * period
+                : first;
+        time < due;
+        time += period
+    ) {
+        missed.push(time);
+    }
+    return missed;
+}
+
+/**
+ * Returns whether a dose of `medicine` that was due at `due` was late if given at `time`,
+ * which is an hour after it was due, or halfway to the next dose if that's sooner.
+ * @param {Medicine} medicine
+ * @param {number} due
+ * @param {number} time
+ */
+function is_late(medicine, due, time) {
+    return time - due > Math.min(HOUR, dose_period(medicine) / 2);
+}
+
+/**
+ * Logs the next dose of `medicine` as given (or late) or skipped,
+ * along with any doses that were missed before it as skipped.
+ * @param {Medicine} medicine
+ * @param {'given' | 'skipped'} action
+ * @param {number} [now]
+ * @returns {Medicine}
+ */
+function log_dose(medicine, action, now = Date.now()) {
+    const due = next_dose(medicine, now);
+    /** @type {Dose} */
+    const dose = {
+        due,
+        time: now,
+        status:
+            action === 'skipped'
+                ? 'skipped'
+                : is_late(medicine, due, now)
+                  ? 'late'
+                  : 'given'
+    };
+    return {
+        ...medicine,
+        doses: [
+            ...medicine.doses,
+            ...missed_doses(medicine, now).map(missed => ({
+                due: missed,
+                time: now,
+                status: /** @type {const} */ ('skipped')
+            })),
+            dose
+        ]
+    };
+}
+
+/**
+ * Returns the midnight that starts the week (from Monday) that `time` is in.
+ * @param {number} time
+ */
+function start_of_week(time) {
+    const date = new Date(start_of_day(time));
+    date.setDate(date.getDate() - ((date.getDay() + 6) % 7));
+    return date.getTime();
+}
+
+/**
+ * Tallies the doses of `medicines` by the week they were due in, newest first.
+ * Missed doses that haven't been logged yet count as skipped,
+ * and doses that were given late count towards adherence.
+ * @param {Medicine[]} medicines
+ * @param {number} [now]
+ * @returns {WeeklyAdherence[]}
+ */
+function weekly_adherence(medicines, now = Date.now()) {
+    /** @type {Map<number, WeeklyAdherence>} */
+    const weeks = new Map();
+    /**
+     * @param {number} due
+     * @param {Dose['status']} status
+     */
+    function tally(due, status) {
+        const week = start_of_week(due);
+        const counts = weeks.get(week) ?? {
+            week,
+            given: 0,
+            late: 0,
+            skipped: 0,
+            adherence: 0
+        };
+        counts[status]++;
+        counts.adherence =
+            (counts.given + counts.late) /
+            (counts.given + counts.late + counts.skipped);
+        weeks.set(week, counts);
+    }
+    for (const medicine of medicines) {
+        for (const dose of medicine.doses) {
+            tally(dose.due, dose.status);
+        }
+        for (const due of missed_doses(medicine, now)) {
+            tally(due, 'skipped');
+        }
+    }
+    return [...weeks.values()].sort((a, b) => b.week - a.week);
+}
+
+/**
+ * @param {number} time
+ */
+function format_date_time(time) {
+    return new Date(time).toLocaleString(undefined, {
+        dateStyle: 'medium',
+        timeStyle: 'short'
+    });
+}
+
+/**
+ * Describes how often `medicine` is given, e.g. "2 every 8 hours".
+ * @param {Medicine} medicine
+ */
+function format_medicine_schedule({ amount, per }) {
+    return per.interval === 1
+        ? `${amount} every ${per.unit}`
+        : `${amount} every ${per.interval} ${per.unit}s`;
+}
+
+/**
+ * Replaces the reminders that were generated for `pet`'s medicines
+ * with reminders for the next dose of each of them.
+ * Call this whenever medicines or their doses change.
+ * @param {Pet} pet
+ * @returns {Pet}
+ */
+function with_medicine_reminders(pet) {
+    return {
+        ...pet,
+        reminders: [
+            ...pet.reminders.filter(
+                reminder => reminder.medicine === undefined
+            ),
+            ...pet.medicines.map(medicine => ({
+                id: medicine.id,
+                type: 'medicine',
+                time: next_dose(medicine),
+                details: `${medicine.amount} × ${medicine.name}`,
+                medicine: medicine.id,
+                recurrence: null,
+                completions: []
+            }))
+        ]
+    };
+}
+
+/** How many of the latest doses are shown in a medicine's history. */
+const DOSE_HISTORY_LENGTH = 10;
+
+/**
+ * @param {number} fraction
+ */
+function format_percentage(fraction) {
+    return `${Math.round(fraction * 100)}%`;
+}
+
+/**
+ * Renders the adherence of `medicine` for each week
+ * and the log of its latest doses.
+ * @param {Medicine} medicine
+ * @param {Set<string>} open the ids of medicines whose history is open,
+ * which is kept up to date as it's toggled
+ * @param {number} now
+ */
+function dose_history(medicine, open, now) {
+    const weeks = weekly_adherence([medicine], now);
+    const details = element(
+        'details',
+        { className: 'dose-history', open: open.has(medicine.id) },
+        element('summary', null, 'History'),
+        weeks.length === 0
+            ? element('p', { className: 'empty' }, 'No doses logged yet')
+            : element(
+                  'ul',
+                  { className: 'adherence' },
+                  ...weeks.map(week =>
+                      element(
+                          'li',
+                          null,
+                          `Week of ${new Date(week.week).toLocaleDateString(
+                              undefined,
+                              { month: 'short', day: 'numeric' }
+                          )}: `,
+                          element(
+                              'strong',
+                              null,
+                              format_percentage(week.adherence)
+                          ),
+                          week.late === 0 ? null : ` (${week.late} late)`
+                      )
+                  )
+              ),
+        element(
+            'ol',
+            { className: 'dose-log', reversed: true },
+            ...medicine.doses
+                .slice(-DOSE_HISTORY_LENGTH)
+                .reverse()
+                .map(dose =>
+                    element(
+                        'li',
+                        null,
+                        element(
+                            'time',
+                            { dateTime: new Date(dose.due).toISOString() },
+                            format_date_time(dose.due)
+                        ),
+                        element(
+                            'span',
+                            { className: `status ${dose.status}` },
+                            dose.status
+                        )
+                    )
+                )
+        )
+    );
+    add_event_listener(details, 'toggle', () => {
+        if (details.open) {
+            open.add(medicine.id);
+        } else {
+            open.delete(medicine.id);
+        }
+    });
+    return details;
+}
+
+/** @type {Array<Activity['type']>} */
+const ACTIVITY_TYPES = ['walk', 'play', 'feeding'];
+/** @type {Record<Activity['type'], string>} */
+const ACTIVITY_LABELS = { walk: 'Walks', play: 'Play', feeding: 'Feeding' };
+
+/**
+ * Returns the midnights that start each of the `days` days up to and including today.
+ * @param {number} days
+ * @param {number} now
+ */
+function last_days(days, now) {
+    const date = new Date(start_of_day(now));
+    date.setDate(date.getDate() - (days - 1));
+    const starts = [];
+    for (let i = 0; i < days; i++) {
+        starts.push(date.getTime());
+        date.setDate(date.getDate() + 1);
+    }
+    return starts;
+}
+
+/**
+ * Renders a chart of the minutes of each type of `activities`
+ * on each of the last `days` days, stacked into one bar per day.
+ * Hovering over (or focusing) a day shows its totals.
+ * @param {Activity[]} activities
+ * @param {number} days
+ * @param {number} [now]
+ */
+function activity_chart(activities, days, now = Date.now()) {
+    const starts = last_days(days, now);
+    const tomorrow = new Date(/** @type {number} */ (starts.at(-1)));
+    tomorrow.setDate(tomorrow.getDate() + 1);
+    const totals = starts.map(() => ({ walk: 0, play: 0, feeding: 0 }));
+    for (const activity of activities) {
+        const index = starts.findLastIndex(start => start <= activity.time);
+        if (index !== -1 && activity.time < tomorrow.getTime()) {
+            totals[index][activity.type] += activity.minutes;
+        }
+    }
+    const day_totals = totals.map(
+        total => total.walk + total.play + total.feeding
+    );
+    // round the scale up to the next half hour
+    const max = Math.max(30, Math.ceil(Math.max(...day_totals) / 30) * 30);
+    // label fewer days as there are more of them, so the labels fit
+    const label_every = days <= 7 ? 1 : days <= 30 ? 5 : 15;
+    /**
+     * @param {number} start
+     * @param {Intl.DateTimeFormatOptions} options
+     */
+    const format_day = (start, options) =>
+        new Date(start).toLocaleDateString(undefined, options);
+    return element(
+        'div',
+        { className: 'chart', style: `--days: ${days}` },
+        element(
+            'div',
+            { className: 'y-axis', 'aria-hidden': 'true' },
+            element('span', null, `${max}`),
+            element('span', null, `${max / 2}`),
+            element('span', null, '0')
+        ),
+        element(
+            'div',
+            { className: 'bars' },
+            ...starts.map((start, i) =>
+                element(
+                    'div',
+                    {
+                        className: 'day',
+                        tabIndex: 0,
+                        'aria-label': `${format_day(start, {
+                            dateStyle: 'medium'
+                        })}: ${day_totals[i]} minutes`
+                    },
+                    ...ACTIVITY_TYPES.map(type =>
+                        totals[i][type] === 0
+                            ? null
+                            : element('div', {
+                                  className: `bar ${type}`,
+                                  style: `height: ${(totals[i][type] / max) * 100}%`
+                              })
+                    ),
+                    element(
+                        'div',
+                        { className: 'tooltip', role: 'tooltip' },
+                        element(
+                            'strong',
+                            null,
+                            format_day(start, {
+                                weekday: 'short',
+                                month: 'short',
+                                day: 'numeric'
+                            })
+                        ),
+                        ...ACTIVITY_TYPES.map(type =>
+                            element(
+                                'span',
+                                null,
+                                `${ACTIVITY_LABELS[type]}: ${totals[i][type]} min`
+                            )
+                        )
+                    )
+                )
+            )
+        ),
+        element(
+            'div',
+            { className: 'x-axis', 'aria-hidden': 'true' },
+            ...starts.map((start, i) =>
+                element(
+                    'span',
+                    null,
+                    (days - 1 - i) % label_every === 0
+                        ? format_day(start, { month: 'short', day: 'numeric' })
+                        : ''
+                )
+            )
+        ),
+        element('p', { className: 'axis-title' }, 'Minutes per day'),
+        element(
+            'ul',
+            { className: 'legend' },
+            ...ACTIVITY_TYPES.map(type =>
+                element('li', { className: type }, ACTIVITY_LABELS[type])
+            )
+        )
+    );
+}
+
+/** How many kilograms each `Unit` is. */
+const UNIT_IN_KG = { kg: 1, g: 0.001, lb: 0.45359237, oz: 0.028349523125 };
+/** How many decimal places weights in each `Unit` are shown with. */
+const UNIT_DECIMALS = { kg: 2, g: 0, lb: 1, oz: 1 };
+
+/**
+ * @param {number} amount
+ * @param {Unit} from
+ * @param {Unit} to
+ */
+function convert_weight(amount, from, to) {
+    return (amount * UNIT_IN_KG[from]) / UNIT_IN_KG[to];
+}
+
+/**
+ * Formats `weight` in `unit`, or in the unit it was entered in if `unit` is `null`.
+ * @param {Pet['weight']} weight
+ * @param {Unit | null} unit
+ */
+function format_weight(weight, unit) {
+    const to = unit ?? weight.unit;
+    const amount = convert_weight(weight.amount, weight.unit, to);
+    return `${amount.toLocaleString(undefined, {
+        maximumFractionDigits: UNIT_DECIMALS[to]
+    })} ${to}`;
+}
+
+/**
+ * Logs `weight` as `pet`'s weight at `time`,
+ * keeping `pet.weight` as the latest logged weight.
+ * @param {Pet} pet
+ * @param {Pet['weight']} weight
+ * @param {number} [time]
+ * @returns {Pet}
+ */
+function log_weight(pet, weight, time = Date.now()) {
+    const weights = [...pet.weights, { time, ...weight }].sort(
+        (a, b) => a.time - b.time
+    );
+    const { amount, unit } = /** @type {WeightEntry} */ (weights.at(-1));
+    return { ...pet, weight: { amount, unit }, weights };
+}
+
+/** How far back changes in weight are checked for being rapid. */
+const WEIGHT_CHANGE_DAYS = 30;
+/** The fraction of its weight that a pet can gain or lose within `WEIGHT_CHANGE_DAYS` before it's rapid. */
+const RAPID_WEIGHT_CHANGE = 0.1;
+
+/**
+ * Returns how much `pet`'s weight changed, as a fraction of its earlier weight,
+ * since the earliest weight logged within `WEIGHT_CHANGE_DAYS` of its latest one,
+ * if that change is rapid enough to be worth a warning. Otherwise returns `null`.
+ * @param {Pet} pet
+ */
+function rapid_weight_change(pet) {
+    const latest = pet.weights.at(-1);
+    if (latest === undefined) {
+        return null;
+    }
+    const earlier = pet.weights.find(
+        entry =>
+            entry !== latest &&
+            latest.time - entry.time <= WEIGHT_CHANGE_DAYS * DAY
+    );
+    if (earlier === undefined || earlier.amount <= 0) {
+        return null;
+    }
+    const change =
+        convert_weight(latest.amount, latest.unit, earlier.unit) /
+            earlier.amount -
+        1;
+    return Math.abs(change) > RAPID_WEIGHT_CHANGE ? change : null;
+}
+
+/**
+ * Describes a rapid weight `change` from `rapid_weight_change`.
+ * @param {number} change
+ */
+function format_weight_change(change) {
+    return `${change > 0 ? 'Gained' : 'Lost'} ${format_percentage(
+        Math.abs(change)
+    )} of their weight in under ${WEIGHT_CHANGE_DAYS} days. Consider checking with a vet.`;
+}
+
+/**
+ * Renders a line chart of the weights in `weights`, converted to `unit`.
+ * Hovering over a point shows its date and weight.
+ * @param {WeightEntry[]} weights
+ * @param {Unit} unit
+ */
+function weight_chart(weights, unit) {
+    const WIDTH = 600;
+    const HEIGHT = 200;
+    const PADDING = 40;
+    const points = weights.map(entry => ({
+        time: entry.time,
+        amount: convert_weight(entry.amount, entry.unit, unit)
+    }));
+    const amounts = points.map(point => point.amount);
+    // leave some room above and below the line
+    const min = Math.min(...amounts) * 0.9;
+    const max = Math.max(...amounts) * 1.1 || 1;
+    const first = points[0].time;
+    const last = points[points.length - 1].time;
+    const span = last - first || 1;
+    /**
+     * @param {{ time: number; amount: number }} point
+     */
+    const position = point => [
+        PADDING +
+            (points.length === 1 ? 0.5 : (point.time - first) / span) *
+                (WIDTH - PADDING * 2),
+        HEIGHT -
+            PADDING -
+            ((point.amount - min) / (max - min || 1)) * (HEIGHT - PADDING * 2)
+    ];
+    /**
+     * @param {number} amount
+     */
+    const label = amount =>
+        `${amount.toLocaleString(undefined, {
+            maximumFractionDigits: UNIT_DECIMALS[unit]
+        })} ${unit}`;
+    /**
+     * @param {number} time
+     */
+    const date = time =>
+        new Date(time).toLocaleDateString(undefined, { dateStyle: 'medium' });
+    return svg_element(
+        'svg',
+        {
+            class: 'weight-chart',
+            viewBox: `0 0 ${WIDTH} ${HEIGHT}`,
+            role: 'img',
+            'aria-label': `Weight from ${date(first)} to ${date(last)}`
+        },
+        svg_element('line', {
+            class: 'axis',
+            x1: PADDING,
+            y1: HEIGHT - PADDING,
+            x2: WIDTH - PADDING,
+            y2: HEIGHT - PADDING
+        }),
+        svg_element('line', {
+            class: 'axis',
+            x1: PADDING,
+            y1: PADDING,
+            x2: PADDING,
+            y2: HEIGHT - PADDING
+        }),
+        svg_element(
+            'text',
+            { x: PADDING - 5, y: PADDING, 'text-anchor': 'end' },
+            label(max)
+        ),
+        svg_element(
+            'text',
+            { x: PADDING - 5, y: HEIGHT - PADDING, 'text-anchor': 'end' },
+            label(min)
+        ),
+        svg_element(
+            'text',
+            { x: PADDING, y: HEIGHT - PADDING + 20 },
+            date(first)
+        ),
+        svg_element(
+            'text',
+            {
+                x: WIDTH - PADDING,
+                y: HEIGHT - PADDING + 20,
+                'text-anchor': 'end'
+            },
+            date(last)
+        ),
+        svg_element('polyline', {
+            class: 'line',
+            points: points.map(point => position(point).join(',')).join(' ')
+        }),
+        ...points.map(point => {
+            const [x, y] = position(point);
+            return svg_element(
+                'circle',
+                { class: 'point', cx: x, cy: y, r: 5, tabindex: 0 },
+                svg_element(
+                    'title',
+                    null,
+                    `${date(point.time)}: ${label(point.amount)}`
+                )
+            );
+        })
+    );
+}
+
+/**
+ * The range of healthy adult weights of each species, in kilograms.
+ * These are deliberately broad, since they cover every breed.
+ * @type {Record<PetSpecies, [number, number]>}
+ */
+const SPECIES_WEIGHTS = {
+    dog: [1.5, 90],
+    cat: [2.5, 8],
+    bird: [0.01, 1.5],
+    fish: [0.001, 5],
+    turtle: [0.005, 40],
+    rabbit: [0.8, 7]
+};
+
+/** How many weeks of doses medicine adherence is scored over. */
+const ADHERENCE_WEEKS = 4;
+/**
+ * How many minutes of walks and play a day each species should get.
+ * Fish and turtles aren't scored on activity.
+ * @type {Partial<Record<PetSpecies, number>>}
+ */
+const ACTIVITY_TARGETS = { dog: 60, cat: 20, rabbit: 30, bird: 30 };
+/** How many days of activity are scored. */
+const ACTIVITY_DAYS = 7;
+
+/**
+ * Returns the fraction of doses of `medicines` that were given
+ * in the last {@link ADHERENCE_WEEKS} weeks, or `null` if none were due.
+ * @param {Medicine[]} medicines
+ * @param {number} now
+ */
+function recent_adherence(medicines, now) {
+    const weeks = weekly_adherence(medicines, now).slice(0, ADHERENCE_WEEKS);
+    let given = 0;
+    let total = 0;
+    for (const week of weeks) {
+        given += week.given + week.late;
+        total += week.given + week.late + week.skipped;
+    }
+    return total === 0 ? null : given / total;
+}
+
+/** How many days of reminders are scored. */
+const REMINDER_DAYS = 14;
+
+/**
+ * Returns the fraction of occurrences of `reminders` that were due
+ * in the last {@link REMINDER_DAYS} days and have been checked off,
+ * or `null` if none were due. Medicine reminders are left out,
+ * since their doses are scored by {@link recent_adherence}.
+ * @param {Reminder[]} reminders
+ * @param {number} now
+ */
+function recent_reminder_completion(reminders, now) {
+    const [since] = last_days(REMINDER_DAYS, now);
+    let done = 0;
+    let missed = 0;
+    for (const reminder of reminders) {
+        if (reminder.medicine !== undefined) {
+            continue;
+        }
+        const completed = reminder.completions
+            .map(({ due }) => due)
+            .toSorted((a, b) => a - b);
+        done += completed.filter(due => due >= since && due < now).length;
+        const { recurrence } = reminder;
+        /**
+         * Counts the missed occurrences from `time` up to `end`.
+         * @param {number} time
+         * @param {number} end
+         */
+        const count_missed = (time, end) => {
+            while (time < Math.min(end, now)) {
+                if (time >= since) {
+                    missed++;
+                }
+                if (recurrence === null) {
+                    break;
+                }
+                time = next_occurrence(time, recurrence);
+            }
+        };
+        // occurrences are skipped when a later one is checked off
+        if (recurrence !== null) {
+            completed.forEach((due, i) => {
+                count_missed(
+                    next_occurrence(due, recurrence),
+                    completed[i + 1] ?? reminder.time
+                );
+            });
+        }
+        if (!is_reminder_done(reminder)) {
+            count_missed(reminder.time, now);
+        }
+    }
+    const total = done + missed;
+    return total === 0 ? null : done / total;
+}
+
+/**
+ * The factors that the wellness score is made up of:
+ * reminder completion, medicine adherence, weight and activity.
+ * Each one scores a pet from 0 to 1, or returns `null`
+ * if there isn't enough data to score it, in which case it's left out.
+ * @type {WellnessFactor[]}
+ */
+const WELLNESS_FACTORS = [
+    {
+        label: 'Reminders',
+        weight: 1,
+        score(pet, now) {
+            return recent_reminder_completion(pet.reminders, now);
+        }
+    },
+    {
+        label: 'Medicine adherence',
+        weight: 2,
+        score(pet, now) {
+            return recent_adherence(pet.medicines, now);
+        }
+    },
+    {
+        label: 'Weight',
+        weight: 1,
+        score(pet) {
+            const kg = pet.weight.amount * UNIT_IN_KG[pet.weight.unit];
+            if (kg <= 0) {
+                return null;
+            }
+            const [min, max] = SPECIES_WEIGHTS[pet.species];
+            // lose a point for every 50% outside of the healthy range
+            const outside =
+                kg < min ? min / kg - 1 : kg > max ? kg / max - 1 : 0;
+            // and half of what's left if the weight is changing rapidly
+            const trend = rapid_weight_change(pet) === null ? 1 : 0.5;
+            return Math.max(0, 1 - outside * 2) * trend;
+        }
+    },
+    {
+        label: 'Activity',
+        weight: 1,
+        score(pet, now) {
+            const target = ACTIVITY_TARGETS[pet.species];
+            const [since] = last_days(ACTIVITY_DAYS, now);
+            const recent = pet.activities.filter(
+                activity =>
+                    activity.time >= since && activity.type !== 'feeding'
+            );
+            if (target === undefined || recent.length === 0) {
+                return null;
+            }
+            const minutes = recent.reduce(
+                (sum, activity) => sum + activity.minutes,
+                0
+            );
+            return Math.min(1, minutes / ACTIVITY_DAYS / target);
+        }
+    }
+];
+
+/**
+ * Scores how well `pet` is doing from 0 to 100, as the
+ * weighted average of the `WELLNESS_FACTORS` that can be scored,
+ * along with the score of each of them.
+ * The score is `null` if none of them can be scored.
+ * @param {Pet} pet
+ * @param {number} [now]
+ * @returns {Wellness}
+ */
+function wellness_score(pet, now = Date.now()) {
+    const breakdown = WELLNESS_FACTORS.flatMap(factor => {
+        const score = factor.score(pet, now);
+        return score === null
+            ? []
+            : [{ label: factor.label, weight: factor.weight, score }];
+    });
+    const weights = breakdown.reduce((sum, { weight }) => sum + weight, 0);
+    return {
+        score:
+            weights === 0
+                ? null
+                : Math.round(
+                      (breakdown.reduce(
+                          (sum, { weight, score }) => sum + weight * score,
+                          0
+                      ) /
+                          weights) *
+                          100
+                  ),
+        breakdown
+    };
+}
+
+/**
+ * Returns the color band that a wellness `score` falls in.
+ * @param {number | null} score
+ */
+function wellness_band(score) {
+    if (score === null) {
+        return 'unknown';
+    }
+    return score >= 80 ? 'good' : score >= 50 ? 'fair' : 'poor';
+}
+
+/**
+ * Returns the id of the pet in a `/pet/:id` path.
+ * @param {string} pathname
+ */
+function pet_id_from_path(pathname) {
+    return pathname.replace(/^\/pet\//, '').replace(/[?/].*/, '');
+}
+
+page(/^\/pet\/[^/]+$/, async () => {
+    const u = user();
+    if (u === null) {
+        // for some reason `await`ing a `Promise<never>` doesn't work as a type guard
+        // so we have to `return` it
+        return await render('/404');
+    }
+    const pet_id = pet_id_from_path(url().pathname);
+    const initial = u.pets.find(pet => pet.id === pet_id);
+    if (initial === undefined) {
+        // pets used to be addressed by their index, so keep old links working
+        const by_index = /^[0-9]+$/.test(pet_id)
+            ? u.pets[Number(pet_id)]
+            : undefined;
+        if (by_index !== undefined) {
+            return await goto(`/pet/${by_index.id}`);
+        }
+        return await render('/404');
+    }
+    const [pet, set_pet] = signal(initial);
+    page_effect(() => {
+        const stored = user()?.pets.find(pet => pet.id === pet_id);
+        if (stored !== undefined) {
+            set_pet(stored);
+        }
+    });
+    const age = /** @type {HTMLParagraphElement} */ (
+        doc_query_selector(document, '.age')
+    );
+    const breed = /** @type {HTMLParagraphElement} */ (
+        doc_query_selector(document, '.breed')
+    );
+    const weight = /** @type {HTMLParagraphElement} */ (
+        doc_query_selector(document, '.pet-hero-data .weight')
+    );
+    const name = /** @type {HTMLHeadingElement} */ (
+        doc_query_selector(document, '.pet-hero > h3')
+    );
+    const pet_hero = /** @type {HTMLDivElement} */ (
+        doc_query_selector(document, '.pet-hero')
+    );
+    const edit_form = /** @type {HTMLFormElement} */ (
+        doc_query_selector(document, 'form.edit-pet')
+    );
+    const edit_image = /** @type {HTMLInputElement} */ (
+        doc_query_selector(document, 'form.edit-pet input[type=file]')
+    );
+    const edit_image_label = /** @type {HTMLLabelElement} */ (
+        doc_query_selector(document, 'form.edit-pet label[for=edit-image]')
+    );
+    const edit_picker = photo_picker(
+        edit_image,
+        /** @type {HTMLDivElement} */ (
+            doc_query_selector(document, 'form.edit-pet .crops')
+        ),
+        PET_CROPS
+    );
+    const cancel_edit = /** @type {HTMLButtonElement} */ (
+        doc_query_selector(document, 'form.edit-pet .cancel')
+    );
+    const summary_link = /** @type {HTMLAnchorElement} */ (
+        doc_query_selector(document, '.summary-link')
+    );
+    summary_link.href = `/pet/${pet_id}/summary`;
+    /**
+     * @param {Pet} pet
+     */
+    async function render_pet(pet) {
+        document.title = `${pet.name} — PawPal`;
+        age.textContent = `${pet.age} years old`;
+        breed.textContent = pet.breed;
+        const change = rapid_weight_change(pet);
+        weight.textContent = format_weight(
+            pet.weight,
+            user()?.weight_unit ?? null
+        );
+        weight.classList.toggle('rapid-change', change !== null);
+        weight.title = change === null ? '' : format_weight_change(change);
+        name.textContent = pet.name;
+        const [icon, hero] = await Promise.all([
+            load_image(pet.images.icon),
+            load_image(pet.images.hero)
+        ]);
+        edit_image_label.style.backgroundImage = `url("${icon}")`;
+        // pets without a hero keep the default one from the stylesheet
+        pet_hero.style.backgroundImage = hero === '' ? '' : `url("${hero}")`;
+    }
+    page_effect(() => {
+        render_pet(pet());
+    });
+    const chart_area = /** @type {HTMLDivElement} */ (
+        doc_query_selector(document, '.activity .chart-area')
+    );
+    const ranges = /** @type {HTMLFieldSetElement} */ (
+        doc_query_selector(document, '.activity .ranges')
+    );
+    const [range, set_range] = signal(7);
+    on(ranges, 'change', e => {
+        set_range(Number(/** @type {HTMLInputElement} */ (e.target).value));
+    });
+    page_effect(() => {
+        chart_area.replaceChildren(activity_chart(pet().activities, range()));
+    });
+    const log_activity = /** @type {HTMLFormElement} */ (
+        doc_query_selector(document, 'form.log-activity')
+    );
+    const activity_fields = log_activity.elements;
+    const activity_time = /** @type {HTMLInputElement} */ (
+        activity_fields.namedItem('activity-time')
+    );
+    activity_time.value = to_datetime_local(Date.now());
+    on(log_activity, 'submit', e => {
+        e.preventDefault();
+        if (!log_activity.reportValidity()) {
+            return;
+        }
+        /** @type {Activity} */
+        const activity = {
+            type: /** @type {Activity['type']} */ (
+                /** @type {HTMLSelectElement} */ (
+                    activity_fields.namedItem('activity-type')
+                ).value
+            ),
+            time: new Date(activity_time.value).getTime(),
+            minutes: Number(
+                /** @type {HTMLInputElement} */ (
+                    activity_fields.namedItem('activity-minutes')
+                ).value
+            )
+        };
+        update_pet(pet_id, current => ({
+            ...current,
+            activities: [...current.activities, activity]
+        }));
+        log_activity.reset();
+        activity_time.value = to_datetime_local(Date.now());
+    });
+    const weight_history = /** @type {HTMLDivElement} */ (
+        doc_query_selector(document, '.weight-history')
+    );
+    const weight_chart_area = /** @type {HTMLDivElement} */ (
+        weight_history.querySelector('.chart-area')
+    );
+    const weight_warning = /** @type {HTMLParagraphElement} */ (
+        weight_history.querySelector('.weight-warning')
+    );
+    page_effect(() => {
+        const current = pet();
+        const unit = user()?.weight_unit ?? current.weight.unit;
+        weight_chart_area.replaceChildren(weight_chart(current.weights, unit));
+        const change = rapid_weight_change(current);
+        weight_warning.hidden = change === null;
+        weight_warning.textContent =
+            change === null ? '' : format_weight_change(change);
+    });
+    const log_weight_form = /** @type {HTMLFormElement} */ (
+        weight_history.querySelector('form.log-weight')
+    );
+    const weight_fields = log_weight_form.elements;
+    const weight_amount = /** @type {HTMLInputElement} */ (
+        weight_fields.namedItem('weight-amount')
+    );
+    const weight_unit = /** @type {HTMLSelectElement} */ (
+        weight_fields.namedItem('weight-unit')
+    );
+    const weight_time = /** @type {HTMLInputElement} */ (
+        weight_fields.namedItem('weight-time')
+    );
+    function reset_weight_form() {
+        log_weight_form.reset();
+        weight_unit.value = user()?.weight_unit ?? pet().weight.unit;
+        weight_time.value = to_datetime_local(Date.now());
+    }
+    reset_weight_form();
+    on(log_weight_form, 'submit', e => {
+        e.preventDefault();
+        if (!log_weight_form.reportValidity()) {
+            return;
+        }
+        const entry = {
+            amount: Number(weight_amount.value),
+            unit: /** @type {Unit} */ (weight_unit.value)
+        };
+        const time = new Date(weight_time.value).getTime();
+        update_pet(pet_id, current => log_weight(current, entry, time));
+        reset_weight_form();
+    });
+    const wellness = derived(() => wellness_score(pet()));
+    const score = /** @type {HTMLDivElement} */ (
+        doc_query_selector(document, '.activity .score')
+    );
+    const score_text = /** @type {SVGTextElement} */ (
+        doc_query_selector(document, '.wellness-score')
+    );
+    page_effect(() => {
+        const { score: value, breakdown } = wellness();
+        score_text.textContent = value === null ? '—' : `${value}`;
+        set_attribute(score, 'data-band', wellness_band(value));
+        score.title =
+            breakdown.length === 0
+                ? 'Not enough data to score yet'
+                : breakdown
+                      .map(
+                          ({ label, score }) =>
+                              `${label}: ${format_percentage(score)}`
+                      )
+                      .join('\n');
+    });
+    pet_hero.classList.remove('skeleton');
+    const delete_pet = /** @type {HTMLButtonElement} */ (
+        doc_query_selector(document, '.delete-pet-confirm')
+    );
+    const edit_pet = /** @type {HTMLButtonElement} */ (
+        doc_query_selector(document, '.edit')
+    );
+    /**
+     * Unsaved edits, which are previewed with `preview.with`
+     * and only applied when the form is submitted.
+     * @type {Fork | null}
+     */
+    let preview = null;
+    /**
+     * An object URL to preview the image picked in the image input with,
+     * if the user picked a new one.
+     * @type {string | null}
+     */
+    let edited_image = null;
+    function close_edit() {
+        preview = null;
+        if (edited_image !== null) {
+            URL.revokeObjectURL(edited_image);
+            edited_image = null;
+        }
+        edit_picker.reset();
+        edit_form.hidden = true;
+        render_pet(pet());
+    }
+    function update_preview() {
+        const profile = read_pet_fields(edit_form);
+        if (profile === null) {
+            return;
+        }
+        const icon = edited_image;
+        preview = fork(() => {
+            set_pet(current => ({
+                ...current,
+                ...profile,
+                images: {
+                    ...current.images,
+                    icon: icon ?? current.images.icon
+                }
+            }));
+        });
+        preview.with(() => render_pet(pet()));
+    }
+    on(edit_pet, 'click', () => {
+        if (!edit_form.hidden) {
+            close_edit();
+            return;
+        }
+        fill_pet_fields(edit_form, pet());
+        edit_form.hidden = false;
+    });
+    on(edit_form, 'input', update_preview);
+    on(edit_image, 'change', async () => {
+        const file = edit_image.files?.[0];
+        if (edited_image !== null) {
+            URL.revokeObjectURL(edited_image);
+        }
+        edited_image = file === undefined ? null : URL.createObjectURL(file);
+        update_preview();
+    });
+    on(cancel_edit, 'click', close_edit);
+    on(edit_form, 'submit', async e => {
+        e.preventDefault();
+        if (!edit_form.reportValidity()) {
+            return;
+        }
+        update_preview();
+        const previous = pet();
+        /** @type {Fork} */ (preview).apply();
+        const images = await edit_picker.encode();
+        // the preview uses an object URL, which we replace with the stored crops
+        const updated = {
+            ...pet(),
+            images:
+                images === null
+                    ? previous.images
+                    : {
+                          icon: await store_image(images.icon),
+                          hero: await store_image(images.hero)
+                      }
+        };
+        // changing the weight in the profile logs it too
+        const edited =
+            updated.weight.amount === previous.weight.amount &&
+            updated.weight.unit === previous.weight.unit
+                ? updated
+                : log_weight(updated, updated.weight);
+        set_user(current => {
+            if (current === null) {
+                return null;
+            }
+            return {
+                ...current,
+                pets: current.pets.map(item =>
+                    item.id === pet_id ? edited : item
+                )
+            };
+        });
+        if (images !== null) {
+            await delete_images(previous.images.icon, previous.images.hero);
+        }
+        close_edit();
+    });
+    const medicine_list = /** @type {HTMLUListElement} */ (
+        doc_query_selector(document, '.medicine-list')
+    );
+    const medicine_form = /** @type {HTMLFormElement} */ (
+        doc_query_selector(document, 'form.medicine-form')
+    );
+    const add_medicine = /** @type {HTMLButtonElement} */ (
+        doc_query_selector(document, '.add-medicine')
+    );
+    const medicine_fields = /** @type {HTMLFormControlsCollection} */ (
+        medicine_form.elements
+    );
+    /**
+     * @param {string} field
+     */
+    const medicine_field = field =>
+        /** @type {HTMLInputElement} */ (
+            medicine_fields.namedItem(`medicine-${field}`)
+        );
+    /**
+     * The id of the medicine that's being edited,
+     * or `null` if a new one is being added.
+     * @type {string | null}
+     */
+    let editing_medicine = null;
+    /**
+     * The ids of the medicines whose history is shown,
+     * so that it stays open when the list is rerendered.
+     * @type {Set<string>}
+     */
+    const open_histories = new Set();
+    const adherence_summary = /** @type {HTMLParagraphElement} */ (
+        doc_query_selector(document, '.adherence-summary')
+    );
+    page_effect(() => {
+        const { medicines } = pet();
+        const now = Date.now();
+        medicine_list.replaceChildren(
+            ...medicines.map(medicine => {
+                const due = next_dose(medicine, now);
+                return element(
+                    'li',
+                    { 'data-medicine': medicine.id },
+                    element(
+                        'div',
+                        { className: 'medicine-info' },
+                        element('h4', null, medicine.name),
+                        element(
+                            'p',
+                            { className: 'schedule' },
+                            format_medicine_schedule(medicine)
+                        ),
+                        element(
+                            'p',
+                            {
+                                className:
+                                    due <= now
+                                        ? 'next-dose overdue'
+                                        : 'next-dose'
+                            },
+                            due <= now ? 'Overdue since ' : 'Next dose ',
+                            element(
+                                'time',
+                                { dateTime: new Date(due).toISOString() },
+                                due <= now
+                                    ? format_date_time(due)
+                                    : format_reminder_time(due, day_group(due))
+                            )
+                        )
+                    ),
+                    element(
+                        'div',
+                        { className: 'medicine-actions' },
+                        element('button', { className: 'give' }, 'Given'),
+                        element('button', { className: 'skip' }, 'Skip'),
+                        element(
+                            'button',
+                            { className: 'edit-medicine' },
+                            'Edit'
+                        ),
+                        element(
+                            'button',
+                            { className: 'remove-medicine' },
+                            'Remove'
+                        )
+                    ),
+                    dose_history(medicine, open_histories, now)
+                );
+            })
+        );
+        const [this_week] = weekly_adherence(medicines, now);
+        adherence_summary.textContent =
+            this_week?.week === start_of_week(now)
+                ? `${format_percentage(this_week.adherence)} of this week's doses given`
+                : '';
+    });
+    /**
+     * @param {(medicines: Medicine[]) => Medicine[]} fn
+     */
+    function update_medicines(fn) {
+        update_pet(pet_id, current =>
+            with_medicine_reminders({
+                ...current,
+                medicines: fn(current.medicines)
+            })
+        );
+    }
+    function close_medicine_form() {
+        editing_medicine = null;
+        medicine_form.reset();
+        medicine_form.hidden = true;
+        add_medicine.hidden = false;
+    }
+    on(add_medicine, 'click', () => {
+        medicine_field('start').min = to_datetime_local(
+            missed_doses_since(Date.now())
+        );
+        medicine_field('start').value = to_datetime_local(Date.now());
+        medicine_form.hidden = false;
+        add_medicine.hidden = true;
+    });
+    on(
+        /** @type {HTMLButtonElement} */ (
+            medicine_form.querySelector('.cancel')
+        ),
+        'click',
+        close_medicine_form
+    );
+    on(medicine_list, 'click', e => {
+        const button = /** @type {Element} */ (e.target).closest('button');
+        const id = button?.closest('li')?.dataset.medicine;
+        const medicine = pet().medicines.find(medicine => medicine.id === id);
+        if (button === null || medicine === undefined) {
+            return;
+        }
+        if (
+            button.classList.contains('give') ||
+            button.classList.contains('skip')
+        ) {
+            const action = button.classList.contains('give')
+                ? 'given'
+                : 'skipped';
+            const now = Date.now();
+            update_medicines(medicines =>
+                medicines.map(item =>
+                    item.id === medicine.id ? log_dose(item, action, now) : item
+                )
+            );
+        } else if (button.classList.contains('edit-medicine')) {
+            editing_medicine = medicine.id;
+            medicine_field('name').value = medicine.name;
+            medicine_field('amount').value = `${medicine.amount}`;
+            medicine_field('interval').value = `${medicine.per.interval}`;
+            medicine_field('unit').value = medicine.per.unit;
+            // medicines that started earlier can still be edited
+            medicine_field('start').min = to_datetime_local(
+                Math.min(medicine.start, missed_doses_since(Date.now()))
+            );
+            medicine_field('start').value = to_datetime_local(medicine.start);
+            medicine_form.hidden = false;
+            add_medicine.hidden = true;
+        } else if (button.classList.contains('remove-medicine')) {
+            update_medicines(medicines =>
+                medicines.filter(item => item.id !== medicine.id)
+            );
+            if (editing_medicine === medicine.id) {
+                close_medicine_form();
+            }
+        }
+    });
+    on(medicine_form, 'submit', e => {
+        e.preventDefault();
+        if (!medicine_form.reportValidity()) {
+            return;
+        }
+        const id = editing_medicine;
+        const fields = {
+            name: medicine_field('name').value.trim(),
+            amount: Number(medicine_field('amount').value),
+            per: {
+                unit: /** @type {Medicine['per']['unit']} */ (
+                    medicine_field('unit').value
+                ),
+                interval: Number(medicine_field('interval').value)
+            },
+            start: new Date(medicine_field('start').value).getTime()
+        };
+        update_medicines(medicines =>
+            id === null
+                ? [
+                      ...medicines,
+                      { id: crypto.randomUUID(), ...fields, doses: [] }
+                  ]
+                : medicines.map(item =>
+                      item.id === id ? { ...item, ...fields } : item
+                  )
+        );
+        close_medicine_form();
+    });
+    on(delete_pet, 'click', async () => {
+        set_user(current => {
+            if (current === null) {
+                return null;
+            }
+            return {
+                ...current,
+                pets: current.pets.filter(item => item.id !== pet_id)
+            };
+        });
+        const { images } = pet();
+        await delete_images(images.icon, images.hero);
+        await goto('/', true);
+    });
+});
+
+/** How many days back the vet summary lists completed reminders and weights for. */
+const SUMMARY_DAYS = 30;
+
+/**
+ * @param {string} text
+ */
+function capitalize(text) {
+    return text.charAt(0).toUpperCase() + text.slice(1);
+}
+
+/**
+ * Fills the body of a summary table, or notes that there's nothing to list.
+ * @param {HTMLTableElement} table
+ * @param {Array<Array<string | Node>>} rows
+ * @param {string} empty
+ */
+function fill_table(table, rows, empty) {
+    const columns = table.tHead?.rows[0].cells.length ?? 1;
+    table.tBodies[0].replaceChildren(
+        ...(rows.length === 0
+            ? [
+                  element(
+                      'tr',
+                      null,
+                      element(
+                          'td',
+                          { colSpan: columns, className: 'empty' },
+                          empty
+                      )
+                  )
+              ]
+            : rows.map(cells =>
+                  element(
+                      'tr',
+                      null,
+                      ...cells.map(cell => element('td', null, cell))
+                  )
+              ))
+    );
+}
+
+/** Vet summaries are laid out the same on every device, since they're meant to be printed. */
+const SUMMARY_PATH = /^\/pet\/[^/]+\/summary$/;
+
+page(SUMMARY_PATH, async () => {
+    const u = user();
+    if (u === null) {
+        return await render('/404');
+    }
+    const pet_id = pet_id_from_path(url().pathname);
+    const pet = u.pets.find(pet => pet.id === pet_id);
+    if (pet === undefined) {
+        return await render('/404');
+    }
+    const icon = /** @type {HTMLImageElement} */ (
+        doc_query_selector(document, '.summary .icon')
+    );
+    const name = /** @type {HTMLHeadingElement} */ (
+        doc_query_selector(document, '.summary .name')
+    );
+    const profile = /** @type {HTMLParagraphElement} */ (
+        doc_query_selector(document, '.summary .profile')
+    );
+    const prepared = /** @type {HTMLParagraphElement} */ (
+        doc_query_selector(document, '.summary .prepared')
+    );
+    const wellness = /** @type {HTMLDivElement} */ (
+        doc_query_selector(document, '.summary .wellness')
+    );
+    const wellness_text = /** @type {HTMLParagraphElement} */ (
+        doc_query_selector(document, '.summary .wellness-score')
+    );
+    const breakdown_list = /** @type {HTMLUListElement} */ (
+        doc_query_selector(document, '.summary .breakdown')
+    );
+    const current_weight = /** @type {HTMLParagraphElement} */ (
+        doc_query_selector(document, '.summary .current-weight')
+    );
+    const weights = /** @type {HTMLTableElement} */ (
+        doc_query_selector(document, '.summary .weights')
+    );
+    const medicines = /** @type {HTMLTableElement} */ (
+        doc_query_selector(document, '.summary .medicines')
+    );
+    const reminders = /** @type {HTMLTableElement} */ (
+        doc_query_selector(document, '.summary .reminders')
+    );
+    const back = /** @type {HTMLAnchorElement} */ (
+        doc_query_selector(document, '.summary .back')
+    );
+    const print_button = /** @type {HTMLButtonElement} */ (
+        doc_query_selector(document, '.summary .print')
+    );
+    const now = Date.now();
+    const since = now - SUMMARY_DAYS * DAY;
+    document.title = `${pet.name}'s Vet Summary — PawPal`;
+    set_image_src(icon, pet.images.icon);
+    name.textContent = pet.name;
+    profile.textContent = [
+        capitalize(pet.species),
+        pet.breed,
+        `${pet.age} years old`
+    ]
+        .filter(part => part !== '')
+        .join(' · ');
+    prepared.textContent = `Prepared ${format_date_time(now)}`;
+    const { score, breakdown } = wellness_score(pet, now);
+    set_attribute(wellness, 'data-band', wellness_band(score));
+    wellness_text.textContent = score === null ? '—' : `${score}`;
+    breakdown_list.replaceChildren(
+        ...(breakdown.length === 0
+            ? [element('li', null, 'Not enough data to score yet')]
+            : breakdown.map(({ label, score }) =>
+                  element('li', null, `${label}: ${format_percentage(score)}`)
+              ))
+    );
+    const unit = u.weight_unit;
+    const change = rapid_weight_change(pet);
+    current_weight.textContent = `Currently ${format_weight(pet.weight, unit)}${
+        change === null ? '' : ` (${format_weight_change(change)})`
+    }`;
+    fill_table(
+        weights,
+        pet.weights
+            .filter(({ time }) => time >= since)
+            .toReversed()
+            .map(entry => [
+                format_date_time(entry.time),
+                format_weight(entry, unit)
+            ]),
+        `No weights logged in the last ${SUMMARY_DAYS} days`
+    );
+    fill_table(
+        medicines,
+        pet.medicines.map(medicine => {
+            const adherence = recent_adherence([medicine], now);
+            const last = medicine.doses.at(-1);
+            return [
+                medicine.name,
+                format_medicine_schedule(medicine),
+                format_date_time(medicine.start),
+                adherence === null ? '—' : format_percentage(adherence),
+                last === undefined
+                    ? '—'
+                    : `${capitalize(last.status)}, ${format_date_time(last.time)}`
+            ];
+        }),
+        'No medicines'
+    );
+    /** @type {Array<{ time: number, cells: string[] }>} */
+    const rows = [];
+    for (const reminder of pet.reminders) {
+        const label = capitalize(
+            reminder.details === ''
+                ? reminder.type
+                : `${reminder.type}: ${reminder.details}`
+        );
+        for (const completion of reminder.completions) {
+            if (completion.time >= since) {
+                rows.push({
+                    time: completion.due,
+                    cells: [
+                        label,
+                        format_date_time(completion.due),
+                        `Done ${format_date_time(completion.time)}`
+                    ]
+                });
+            }
+        }
+        if (!is_reminder_done(reminder)) {
+            rows.push({
+                time: reminder.time,
+                cells: [
+                    label,
+                    format_date_time(reminder.time),
+                    reminder.time < now ? 'Overdue' : 'Upcoming'
+                ]
+            });
+        }
+    }
+    fill_table(
+        reminders,
+        rows.sort((a, b) => b.time - a.time).map(({ cells }) => cells),
+        'No reminders'
+    );
+    back.href = `/pet/${pet.id}`;
+    on(print_button, 'click', () => {
+        // browsers' print dialogs can also save the page as a PDF
+        print();
+    });
+});
+
+/**
+ * Notifications are per device like {@link appearance},
+ * since permission is granted to the browser rather than the account.
+ * @type {v.GenericSchema<unknown, NotificationState>}
+ */
+const notification_state_schema = v.object({
+    snooze: v.pipe(v.number(), v.integer(), v.minValue(1)),
+    notified: v.record(v.string(), v.number()),
+    snoozed: v.record(v.string(), v.number())
+});
+/** @type {NotificationState} */
+const default_notification_state = { snooze: 10, notified: {}, snoozed: {} };
+/** How long entries of reminders that are long gone are kept around. */
+const NOTIFICATION_STATE_LIFETIME = 30 * DAY;
+/** Reminders that were missed for longer than this aren't notified when the app is opened again. */
+const CATCH_UP_WINDOW = DAY;
+/** Reminders that were due longer ago than this when notified count as missed. */
+const MISSED_AFTER = 60 * 1000;
+/** The longest delay that `setTimeout` supports. */
+const MAX_TIMEOUT = 2 ** 31 - 1;
+
+function read_notification_state() {
+    try {
+        return v.parse(
+            notification_state_schema,
+            JSON.parse(localStorage.notifications)
+        );
+    } catch {
+        return default_notification_state;
+    }
+}
+
+/** @type {Signal<NotificationState>} */
+const [notification_state, set_notification_state] = signal_from(
+    read_notification_state,
+    value => {
+        const expired = Date.now() - NOTIFICATION_STATE_LIFETIME;
+        /** @param {Record<string, number>} record */
+        const prune = record =>
+            Object.fromEntries(
+                Object.entries(record).filter(([, time]) => time > expired)
+            );
+        localStorage.notifications = JSON.stringify({
+            ...value,
+            notified: prune(value.notified),
+            snoozed: prune(value.snoozed)
+        });
+    }
+);
+
+// @ts-expect-error
+add_event_listener(window, 'storage', (/** @type {StorageEvent} */ e) => {
+    if (e.storageArea === localStorage && e.key === 'notifications') {
+        set_notification_state(read_notification_state());
+    }
+});
+
+/** @type {Signal<NotificationPermission | 'unsupported'>} */
+const [notification_permission, set_notification_permission] = signal(
+    'Notification' in globalThis ? Notification.permission : 'unsupported'
+);
+// permission can also be changed from the browser's site settings
+navigator.permissions
+    ?.query({ name: 'notifications' })
+    .then(status => {
+        status.onchange = () => {
+            set_notification_permission(Notification.permission);
+        };
+    })
+    .catch(() => {});
+
+/**
+ * The service worker makes the app work offline.
+ * It's also needed for notification actions,
+ * which can't be added to notifications created with `new Notification`.
+ * @type {Promise<ServiceWorkerRegistration | null>}
+ */
+const service_worker =
+    'serviceWorker' in navigator
+        ? navigator.serviceWorker
+              .register('/sw.js')
+              .then(() => navigator.serviceWorker.ready)
+              .catch(() => null)
+        : Promise.resolve(null);
+
+/**
+ * A new version of the service worker that's waiting for the user to update,
+ * since updating while the app is in use could mix old and new pages.
+ * @type {Signal<ServiceWorker | null>}
+ */
+const [update_available, set_update_available] = signal(
+    /** @type {ServiceWorker | null} */ (null)
+);
+let updating = false;
+
+service_worker.then(registration => {
+    if (registration === null) {
+        return;
+    }
+    const check = () => {
+        // the first service worker isn't an update
+        if (
+            registration.waiting !== null &&
+            navigator.serviceWorker.controller !== null
+        ) {
+            set_update_available(registration.waiting);
+        }
+    };
+    check();
+    registration.addEventListener('updatefound', () => {
+        const { installing } = registration;
+        installing?.addEventListener('statechange', () => {
+            if (installing.state === 'installed') {
+                check();
+            }
+        });
+    });
+    // navigating doesn't reload the page, so the browser wouldn't check for updates otherwise
+    setInterval(() => registration.update().catch(() => {}), HOUR);
+});
+
+navigator.serviceWorker?.addEventListener('controllerchange', () => {
+    if (updating) {
+        location.reload();
+    }
+});
+
+effect(() => {
+    const waiting = update_available();
+    if (waiting === null) {
+        return;
+    }
+    const button = element('button', { type: 'button' }, 'Update');
+    const prompt = element(
+        'div',
+        { className: 'update-available', role: 'status' },
+        'A new version of PawPal is available.',
+        button
+    );
+    add_event_listener(button, 'click', () => {
+        updating = true;
+        button.disabled = true;
+        waiting.postMessage({ type: 'skip-waiting' });
+    });
+    // the last child of the nav is replaced by the account dropdown
+    /** @type {Element} */ (nav().firstElementChild).after(prompt);
+    return () => prompt.remove();
+});
+
+/**
+ * @param {Reminder} reminder
+ */
+function occurrence_key(reminder) {
+    return `${reminder.id}@${reminder.time}`;
+}
+
+/**
+ * Shows a notification, with snooze and done actions if `data` is for a single reminder.
+ * @param {string} title
+ * @param {string} body
+ * @param {string} tag
+ * @param {Omit<ReminderNotification, 'action'> | null} data
+ */
+async function show_notification(title, body, tag, data) {
+    const registration = await service_worker;
+    try {
+        if (registration !== null) {
+            /** @type {NotificationOptions & { actions: Array<{ action: string, title: string }> }} */
+            const options = {
+                body,
+                tag,
+                data,
+                actions:
+                    data === null
+                        ? []
+                        : [
+                              {
+                                  action: 'snooze',
+                                  title: `Snooze ${notification_state().snooze} min`
+                              },
+                              { action: 'done', title: 'Done' }
+                          ]
+            };
+            await registration.showNotification(title, options);
+            return;
+        }
+        const notification = new Notification(title, { body, tag, data });
+        notification.onclick = () => {
+            window.focus();
+            handle_reminder_notification(
+                data === null ? null : { ...data, action: 'open' }
+            );
+        };
+    } catch {
+        // e.g. Chrome on Android only shows notifications from service workers,
+        // and permission can be revoked at any time
+    }
+}
+
+/**
+ * Acts on a click on a reminder notification.
+ * Notifications for several reminders are sent as `null`.
+ * @param {ReminderNotification | null} notification
+ */
+async function handle_reminder_notification(notification) {
+    if (notification === null || notification.action === 'open') {
+        try {
+            await goto(
+                notification === null ? '/' : `/pet/${notification.pet}`
+            );
+        } catch (err) {
+            if (err !== redirect_error) {
+                throw err;
+            }
+        }
+        return;
+    }
+    const { pet, reminder: id, due, action } = notification;
+    const reminder = user()
+        ?.pets.find(item => item.id === pet)
+        ?.reminders.find(item => item.id === id);
+    if (reminder === undefined || reminder.time !== due) {
+        // the occurrence was already checked off elsewhere
+    } else if (action === 'snooze') {
+        set_notification_state(current => ({
+            ...current,
+            snoozed: {
+                ...current.snoozed,
+                [occurrence_key(reminder)]:
+                    Date.now() + current.snooze * 60 * 1000
+            }
+        }));
+    } else {
+        update_pet(pet, current => complete_reminder(current, id));
+    }
+}
+
+/** @type {v.GenericSchema<unknown, ReminderNotification>} */
+const reminder_notification_schema = v.object({
+    pet: v.string(),
+    reminder: v.string(),
+    due: v.number(),
+    action: v.picklist(['open', 'snooze', 'done'])
+});
+
+navigator.serviceWorker?.addEventListener('message', e => {
+    if (e.data?.type === 'reminder-notification') {
+        handle_reminder_notification(e.data.notification);
+    }
+});
+
+/**
+ * Notifies the user of the occurrences in `due`, which are marked as notified.
+ * Occurrences missed while the app was closed are summarized into one notification.
+ * @param {Array<{ pet: Pet, reminder: Reminder, due: number }>} due
+ * @param {number} now
+ */
+function notify(due, now) {
+    set_notification_state(current => ({
+        ...current,
+        notified: {
+            ...current.notified,
+            ...Object.fromEntries(
+                due.map(({ reminder }) => [occurrence_key(reminder), now])
+            )
+        }
+    }));
+    const recent = due.filter(item => now - item.due <= CATCH_UP_WINDOW);
+    const missed = recent.filter(item => now - item.due > MISSED_AFTER);
+    const individual =
+        missed.length > 1
+            ? recent.filter(item => !missed.includes(item))
+            : recent;
+    for (const { pet, reminder, due: time } of individual) {
+        const title = `${pet.name}: ${reminder.type}`;
+        const when =
+            now - time > MISSED_AFTER
+                ? `Missed, was due ${format_date_time(reminder.time)}`
+                : `Due ${format_date_time(reminder.time)}`;
+        show_notification(
+            title,
+            reminder.details === '' ? when : `${reminder.details}\n${when}`,
+            occurrence_key(reminder),
+            { pet: pet.id, reminder: reminder.id, due: reminder.time }
+        );
+    }
+    if (missed.length > 1) {
+        show_notification(
+            `You missed ${missed.length} reminders`,
+            missed
+                .map(({ pet, reminder }) => `${pet.name}: ${reminder.type}`)
+                .join('\n'),
+            'missed',
+            null
+        );
+    }
+}
+
+const [clock, set_clock] = signal(Date.now());
+
+// notifies reminders as they come due, and schedules the next one
+effect(() => {
+    clock();
+    const current_user = user();
+    const { notified, snoozed } = notification_state();
+    if (current_user === null || notification_permission() !== 'granted') {
+        return;
+    }
+    const now = Date.now();
+    /** @type {Array<{ pet: Pet, reminder: Reminder, due: number }>} */
+    const due = [];
+    let next = Infinity;
+    for (const pet of current_user.pets) {
+        for (const reminder of pet.reminders) {
+            const key = occurrence_key(reminder);
+            const time = snoozed[key] ?? reminder.time;
+            if (is_reminder_done(reminder) || (notified[key] ?? 0) >= time) {
+                continue;
+            }
+            if (time <= now) {
+                due.push({ pet, reminder, due: time });
+            } else {
+                next = Math.min(next, time);
+            }
+        }
+    }
+    if (due.length > 0) {
+        // marking them as notified reruns this effect, which schedules the next one
+        queueMicrotask(() => notify(due, now));
+        return;
+    }
+    if (next === Infinity) {
+        return;
+    }
+    const timeout = setTimeout(
+        () => set_clock(Date.now()),
+        Math.min(next - now, MAX_TIMEOUT)
+    );
+    return () => clearTimeout(timeout);
+});
+
+// the service worker opens the app with the action if it wasn't open
+const notification_param = new URLSearchParams(location.search).get(
+    'notification'
+);
+/**
+ * The notification that was clicked while PawPal was closed, if any,
+ * which is handled once the page has loaded.
+ * @type {ReminderNotification | null | undefined}
+ */
+let clicked_notification;
+if (notification_param !== null) {
+    history.replaceState(null, '', location.pathname);
+    try {
+        clicked_notification = v.parse(
+            v.nullable(reminder_notification_schema),
+            JSON.parse(notification_param)
+        );
+    } catch {}
+}
+
+// @ts-expect-error
+effect(async () => {
+    mobile();
+    url();
+    try {
+        if (mobile() && !SUMMARY_PATH.test(url().pathname)) {
+            if (url().pathname.match(/^\/pet/)) {
+                await render(
+                    `/mobile/view-pet/?id=${pet_id_from_path(url().pathname)}`
+                );
+            } else if (url().pathname.match(/^\/new-reminder/)) {
+                await render(`/mobile/reminders`);
+            } else {
+                await render(`/mobile/${url().pathname.slice(1)}`);
+            }
+        }
+    } catch {}
+});
+
+await init();
+set_ready(true);
+if (clicked_notification !== undefined) {
+    await handle_reminder_notification(clicked_notification);
+}
+await move_images_to_db();
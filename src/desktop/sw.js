@@ -0,0 +1,195 @@
+// @ts-check
+/** @import { ReminderNotification } from './app.js' */
+
+// the DOM and web worker libs conflict, so we only describe what we use here
+/**
+ * @typedef {Event & {
+ *     waitUntil(promise: Promise<unknown>): void
+ * }} ExtendableEvent
+ * @typedef {ExtendableEvent & {
+ *     request: Request,
+ *     respondWith(response: Promise<Response>): void
+ * }} FetchEvent
+ * @typedef {ExtendableEvent & {
+ *     action: string,
+ *     notification: Notification
+ * }} NotificationEvent
+ * @typedef {{
+ *     focus(): Promise<unknown>,
+ *     postMessage(message: unknown): void
+ * }} WindowClient
+ * @typedef {{
+ *     __precache_manifest?: Array<{ url: string, revision: string }>,
+ *     clients: {
+ *         matchAll(options: { type: 'window', includeUncontrolled: boolean }): Promise<WindowClient[]>,
+ *         openWindow(url: string): Promise<unknown>,
+ *         claim(): Promise<void>
+ *     },
+ *     skipWaiting(): Promise<void>,
+ *     addEventListener: ((type: 'install' | 'activate', listener: (e: ExtendableEvent) => void) => void) &
+ *         ((type: 'fetch', listener: (e: FetchEvent) => void) => void) &
+ *         ((type: 'message', listener: (e: MessageEvent) => void) => void) &
+ *         ((type: 'notificationclick', listener: (e: NotificationEvent) => void) => void)
+ * }} ServiceWorkerScope
+ */
+
+const sw = /** @type {ServiceWorkerScope} */ (/** @type {unknown} */ (self));
+
+const CACHE = 'precache';
+// prepended by the build, see `write_precache_manifest` in `src/build/index.js`
+const revisions = new Map(
+    (sw.__precache_manifest ?? []).map(({ url, revision }) => [url, revision])
+);
+/**
+ * Paths that are served by another page, like the redirects in `netlify.toml`.
+ * @type {Array<[RegExp, string]>}
+ */
+const rewrites = [
+    [/^\/pet\/[^/]+\/summary\/?$/, '/pet/summary/index.html'],
+    [/^\/pet\/[^/]+\/?$/, '/pet/index.html']
+];
+
+/**
+ * Cache entries include the revision of their file,
+ * so unchanged files don't have to be fetched again when the app updates.
+ * @param {string} url
+ * @param {string} revision
+ */
+function cache_key(url, revision) {
+    return `${url}?revision=${revision}`;
+}
+
+/**
+ * Returns the cache key of the precached file that serves `pathname`, if any.
+ * @param {string} pathname
+ */
+function precached(pathname) {
+    const candidates = [
+        pathname,
+        `${pathname.replace(/\/?$/, '/')}index.html`,
+        ...rewrites
+            .filter(([pattern]) => pattern.test(pathname))
+            .map(([, url]) => url)
+    ];
+    for (const url of candidates) {
+        const revision = revisions.get(url);
+        if (revision !== undefined) {
+            return cache_key(url, revision);
+        }
+    }
+    return null;
+}
+
+sw.addEventListener('install', e => {
+    e.waitUntil(
+        (async () => {
+            const cache = await caches.open(CACHE);
+            await Promise.all(
+                [...revisions].map(async ([url, revision]) => {
+                    const key = cache_key(url, revision);
+                    if ((await cache.match(key)) !== undefined) {
+                        return;
+                    }
+                    // hosts may redirect `/index.html` to `/`, and navigations can't use redirected responses
+                    const res = await fetch(url.replace(/index\.html$/, ''), {
+                        cache: 'reload'
+                    });
+                    // the 404 page is served as a 404
+                    if (!res.ok && url !== '/404.html') {
+                        throw new Error(`Couldn't precache ${url}`);
+                    }
+                    await cache.put(key, res);
+                })
+            );
+        })()
+    );
+});
+
+sw.addEventListener('activate', e => {
+    e.waitUntil(
+        (async () => {
+            const cache = await caches.open(CACHE);
+            const current = new Set(
+                [...revisions].map(
+                    ([url, revision]) =>
+                        new URL(cache_key(url, revision), location.origin).href
+                )
+            );
+            for (const request of await cache.keys()) {
+                if (!current.has(request.url)) {
+                    await cache.delete(request);
+                }
+            }
+            await sw.clients.claim();
+        })()
+    );
+});
+
+// new versions wait until the user chooses to update, see `update_available` in `app.js`
+sw.addEventListener('message', e => {
+    if (e.data?.type === 'skip-waiting') {
+        sw.skipWaiting();
+    }
+});
+
+sw.addEventListener('fetch', e => {
+    const { request } = e;
+    const url = new URL(request.url);
+    if (request.method !== 'GET' || url.origin !== location.origin) {
+        return;
+    }
+    const key = precached(url.pathname);
+    if (key !== null) {
+        e.respondWith(
+            (async () => (await caches.match(key)) ?? (await fetch(request)))()
+        );
+    } else if (request.mode === 'navigate') {
+        const not_found = precached('/404.html');
+        e.respondWith(
+            fetch(request).catch(async error => {
+                const cached =
+                    not_found === null
+                        ? undefined
+                        : await caches.match(not_found);
+                if (cached === undefined) {
+                    throw error;
+                }
+                return cached;
+            })
+        );
+    }
+});
+
+sw.addEventListener('notificationclick', e => {
+    e.notification.close();
+    /** @type {Omit<ReminderNotification, 'action'> | null} */
+    const data = e.notification.data;
+    const notification =
+        data === null
+            ? null
+            : {
+                  ...data,
+                  action: /** @type {ReminderNotification['action']} */ (
+                      e.action === '' ? 'open' : e.action
+                  )
+              };
+    e.waitUntil(
+        (async () => {
+            const [client] = await sw.clients.matchAll({
+                type: 'window',
+                includeUncontrolled: true
+            });
+            if (client === undefined) {
+                // reminders are kept in local storage, which only the app can access
+                await sw.clients.openWindow(
+                    `/?notification=${encodeURIComponent(JSON.stringify(notification))}`
+                );
+                return;
+            }
+            client.postMessage({ type: 'reminder-notification', notification });
+            if (notification === null || notification.action === 'open') {
+                await client.focus();
+            }
+        })()
+    );
+});